@@ -1,5 +1,32 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Chart } from 'chart.js/auto';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { advanceWith, createInitialState, DEFAULT_SEED } from './simulation/engine';
+import { decodeExperiment, DEFAULT_PARAMS, experimentHash, sharedExperiment } from './simulation/params';
+import { createBackend, DEFAULT_REASONING_CONFIG, ReasoningBackendError } from './simulation/reasoning';
+import { appendEvents, createHistory, currentEntry, moveTo, pushEntry, runLog, STOP_CONDITIONS } from './simulation/history';
+import { logEvent, logItems } from './simulation/thoughtLog';
+import { buildDriveSeries } from './simulation/driveSeries';
+import { ingestDocument } from './simulation/sensoryInput';
+import { createSession, duplicateSession, upgradeSession } from './simulation/sessions';
+import { deleteSession, listSessions, loadSession, saveSession } from './utils/sessionStore';
+import MindFilesPanel from './components/MindFilesPanel';
+import ReplayPanel from './components/ReplayPanel';
+import ReasoningPanel from './components/ReasoningPanel';
+import AutorunControls from './components/AutorunControls';
+import DriveHistoryChart from './components/DriveHistoryChart';
+import BeliefsPanel from './components/BeliefsPanel';
+import FeedDocumentPanel from './components/FeedDocumentPanel';
+import WorkspacePanel from './components/WorkspacePanel';
+import GoalTreePanel from './components/GoalTreePanel';
+import MemoryMap from './components/MemoryMap';
+import ThoughtLog from './components/ThoughtLog';
+import ParametersPanel from './components/ParametersPanel';
+import Experiments from './components/Experiments';
+import SessionsPanel from './components/SessionsPanel';
+import CompareRuns from './components/CompareRuns';
+import MultiAgentSimulation from './components/MultiAgentSimulation';
+import Markdown from './components/Markdown';
+import { loadContent } from './content';
+import { resolveRoute, routeHash } from './utils/router';
 
 // --- Placeholder Comments from Original HTML ---
 // Chosen Palette: Warm Neutral Tech
@@ -18,62 +45,22 @@ import { Chart } from 'chart.js/auto';
 // CONFIRMATION: NO SVG graphics used. NO Mermaid JS used. 
 // --- End Placeholder Comments ---
 
-// --- Data and Content ---
-const architectureContent = {
-    'arch-mind': {
-        title: 'The Mind: Structured State Storage',
-        content: `The AI's mind is externalized into human-readable JSON files. This makes its internal state transparent and easy to modify for experiments.<br/><br/>
-                    - <strong>state.json</strong>: Holds core emotional drivers like Curiosity, Boredom, and Pain.<br/>
-                    - <strong>beliefs.json</strong>: Stores foundational axioms about itself and the world.<br/>
-                    - <strong>goals.json</strong>: A task list separating active and completed goals.`
-    },
-    'arch-memory': {
-        title: 'The Memory: Knowledge Graph',
-        content: `The memory is a knowledge graph (using Python's networkx library).<br/><br/>
-                    - <strong>Nodes</strong>: Represent concepts (e.g., 'creativity'). Each node can store a 'description' attribute, signifying the AI's understanding.<br/>
-                    - <strong>Edges</strong>: Represent relationships between concepts (e.g., 'knowledge' enables 'creativity').<br/><br/>This structure allows the AI to traverse its own "mind," simulating a train of thought.`
-    },
-    'arch-thinker': {
-        title: 'The Thinker: Consciousness Loop',
-        content: `The core of the system is the <strong>hizawye_ai.py</strong> script, which runs a continuous loop to simulate consciousness. It is responsible for:<br/><br/>
-                    1. Managing the AI's mind state.<br/>
-                    2. Orchestrating focus and goal-setting.<br/>
-                    3. Interfacing with the LLM reasoning core.<br/>
-                    4. Validating the LLM's output.<br/>
-                    5. Executing state changes based on success or failure.`
-    }
-};
-
-const initialSimState = {
-    state: { curiosity: 65, boredom: 0, pain: 0 },
-    goals: { active: ["Deepen understanding of the concept: 'belief system'"], completed: [] },
-    memory: {
-        nodes: {
-            'belief system': { x: 50, y: 20, understood: false },
-            'knowledge': { x: 20, y: 50, understood: false },
-            'delusions': { x: 80, y: 50, understood: false },
-            'creativity': { x: 20, y: 80, understood: false },
-        },
-        links: [
-            { source: 'knowledge', target: 'belief system' },
-            { source: 'belief system', target: 'delusions' },
-            { source: 'knowledge', target: 'creativity' },
-        ]
-    },
-    focus: 'belief system',
-};
-
-
 // --- Reusable Components ---
 
-const Sidebar = ({ activeSection, setActiveSection }) => (
+const Sidebar = ({ sections, activeSection }) => (
     <aside className="w-full md:w-64 bg-white border-r border-zinc-200 p-4 md:p-6 flex-shrink-0">
         <h1 className="text-2xl font-bold text-indigo-600 mb-8">Hizawye AI</h1>
         <nav id="navigation" className="flex flex-row md:flex-col gap-2">
-            <a href="#home" onClick={() => setActiveSection('home')} className={`nav-link text-left p-3 rounded-lg font-medium ${activeSection === 'home' ? 'active' : ''}`}>Introduction</a>
-            <a href="#architecture" onClick={() => setActiveSection('architecture')} className={`nav-link text-left p-3 rounded-lg font-medium ${activeSection === 'architecture' ? 'active' : ''}`}>Architecture</a>
-            <a href="#simulation" onClick={() => setActiveSection('simulation')} className={`nav-link text-left p-3 rounded-lg font-medium ${activeSection === 'simulation' ? 'active' : ''}`}>The Consciousness Loop</a>
-            <a href="#findings" onClick={() => setActiveSection('findings')} className={`nav-link text-left p-3 rounded-lg font-medium ${activeSection === 'findings' ? 'active' : ''}`}>Findings</a>
+            {sections.map(section => (
+                <a
+                    key={section.id}
+                    href={routeHash(section.id)}
+                    aria-current={activeSection === section.id ? 'page' : undefined}
+                    className={`nav-link text-left p-3 rounded-lg font-medium ${activeSection === section.id ? 'active' : ''}`}
+                >
+                    {section.nav}
+                </a>
+            ))}
         </nav>
         <div className="mt-auto pt-8 text-xs text-zinc-400 hidden md:block">
             <p>&copy; 2025 Abderrahim Safou</p>
@@ -83,157 +70,46 @@ const Sidebar = ({ activeSection, setActiveSection }) => (
 );
 
 const ContentSection = ({ id, activeSection, children }) => (
-    <section id={id} className={`content-section ${activeSection === id ? 'active' : ''}`}>
+    <section id={id} aria-labelledby={`${id}-heading`} className={`content-section ${activeSection === id ? 'active' : ''}`}>
         {children}
     </section>
 );
 
-const StateChart = ({ label, value, color }) => {
-    const chartRef = useRef(null);
-    const chartInstance = useRef(null);
-
-    useEffect(() => {
-        if (chartRef.current) {
-            const ctx = chartRef.current.getContext('2d');
-            if (chartInstance.current) {
-                chartInstance.current.destroy();
-            }
-            chartInstance.current = new Chart(ctx, {
-                type: 'bar',
-                data: {
-                    labels: ['Value'],
-                    datasets: [{ 
-                        data: [value], 
-                        backgroundColor: [color], 
-                        borderWidth: 1, 
-                        barPercentage: 1.0, 
-                        categoryPercentage: 1.0 
-                    }]
-                },
-                options: {
-                    scales: { x: { display: false }, y: { beginAtZero: true, max: 100 } },
-                    plugins: { legend: { display: false }, tooltip: { enabled: false } },
-                    maintainAspectRatio: false,
-                }
-            });
-        }
-    }, [value, color]);
-
-    return (
-        <div>
-            <label className="font-medium text-zinc-700">{label}</label>
-            <div className="chart-container">
-                <canvas ref={chartRef}></canvas>
-            </div>
-        </div>
-    );
-};
-
-const MemoryMap = ({ memory, focus }) => {
-    const containerRef = useRef(null);
-    const [dims, setDims] = useState({ width: 0, height: 0 });
-
-    useEffect(() => {
-        const resizeObserver = new ResizeObserver(entries => {
-            if (entries[0]) {
-                const { width, height } = entries[0].contentRect;
-                setDims({ width, height });
-            }
-        });
-        if (containerRef.current) {
-            resizeObserver.observe(containerRef.current);
-        }
-        return () => resizeObserver.disconnect();
-    }, []);
-
-    const nodes = memory.nodes;
-    const links = memory.links;
-
-    return (
-        <div ref={containerRef} className="relative h-64 w-full">
-            {links.map((link, index) => {
-                const sourceNode = nodes[link.source];
-                const targetNode = nodes[link.target];
-                if (!sourceNode || !targetNode) return null;
-
-                const x1 = sourceNode.x * dims.width / 100;
-                const y1 = sourceNode.y * dims.height / 100;
-                const x2 = targetNode.x * dims.width / 100;
-                const y2 = targetNode.y * dims.height / 100;
-
-                const length = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-                const angle = Math.atan2(y2 - y1, x2 - x1) * 180 / Math.PI;
-
-                return <div key={index} className="graph-link" style={{ width: `${length}px`, left: `${x1}px`, top: `${y1}px`, transform: `rotate(${angle}deg)` }} />;
-            })}
-            {Object.entries(nodes).map(([nodeId, nodeData]) => {
-                const isUnderstood = nodeData.understood;
-                const isActive = nodeId === focus;
-                const nodeClasses = `graph-node absolute z-10 p-2 rounded-lg shadow-md flex items-center justify-center border-2 text-xs truncate ${isActive ? 'active' : ''}`;
-                
-                return (
-                    <div key={nodeId} className={nodeClasses} style={{ 
-                        left: `calc(${nodeData.x}% - 30px)`, 
-                        top: `calc(${nodeData.y}% - 16px)`,
-                        backgroundColor: isUnderstood ? '#dcfce7' : '#fee2e2',
-                        borderColor: isUnderstood ? '#22c55e' : '#ef4444',
-                        width: '60px',
-                    }}>
-                        {nodeId.split('-')[0]}
-                    </div>
-                );
-            })}
-        </div>
-    );
-};
-
 
 // --- Page Section Components ---
 
-const Home = () => (
-    <>
-        <h2 className="text-4xl font-bold mb-4">Hizawye AI: A Framework for Simulating Consciousness</h2>
-        <p className="text-lg text-zinc-600 mb-6">This interactive experience explores the concepts presented in the research paper on Hizawye AI. It translates the theoretical framework into a dynamic visualization, allowing you to explore the system's architecture and observe a simulation of its emergent, consciousness-like behaviors.</p>
-        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
-            <h3 className="text-xl font-semibold mb-2 text-indigo-600">Abstract</h3>
-            <p className="text-zinc-700 leading-relaxed">The project presents a computational framework to simulate key functional aspects of consciousness, inspired by Global Workspace Theory (GWT). The system models an autonomous agent driven by internal states like curiosity, boredom, and pain. It utilizes a modular "mind" (JSON files), a dynamic knowledge graph for memory, and a central reasoning loop using a small LLM. The AI exhibits emergent behaviors like goal-oriented focus, idle wandering, and strategic failure, where it learns to break down complex problems in response to repeated failure.</p>
-        </div>
-    </>
-);
+// A card per architecture content file. Selecting one opens its details at
+// `#architecture/<id>`; selecting it again closes them.
+const Architecture = ({ content, route }) => {
+    const details = content.architecture.find(component => component.id === route.item);
 
-const Architecture = () => {
-    const [details, setDetails] = useState(null);
-
-    const showDetails = (id) => {
-        setDetails(architectureContent[id]);
+    const toggle = (id) => {
+        window.location.hash = routeHash('architecture', id === route.item ? null : id);
     };
 
     return (
         <>
-            <h2 className="text-4xl font-bold mb-6">System Architecture</h2>
-            <p className="text-lg text-zinc-600 mb-8">The framework is composed of three primary, decoupled components. This modularity allows for transparency and independent development. Click on each component to learn more.</p>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-center">
-                <div onClick={() => showDetails('arch-mind')} className="arch-component bg-white p-6 rounded-lg shadow-sm border-2 border-transparent cursor-pointer hover:border-indigo-500 transition">
-                    <span className="text-5xl">📄</span>
-                    <h3 className="text-2xl font-semibold mt-4">The Mind</h3>
-                    <p className="text-zinc-500">Structured State Storage</p>
-                </div>
-                <div onClick={() => showDetails('arch-memory')} className="arch-component bg-white p-6 rounded-lg shadow-sm border-2 border-transparent cursor-pointer hover:border-indigo-500 transition">
-                    <span className="text-5xl">🧠</span>
-                    <h3 className="text-2xl font-semibold mt-4">The Memory</h3>
-                    <p className="text-zinc-500">Knowledge Graph</p>
-                </div>
-                <div onClick={() => showDetails('arch-thinker')} className="arch-component bg-white p-6 rounded-lg shadow-sm border-2 border-transparent cursor-pointer hover:border-indigo-500 transition">
-                    <span className="text-5xl">⚙️</span>
-                    <h3 className="text-2xl font-semibold mt-4">The Thinker</h3>
-                    <p className="text-zinc-500">Consciousness Loop</p>
-                </div>
+                {content.architecture.map(component => (
+                    <button
+                        key={component.id}
+                        type="button"
+                        onClick={() => toggle(component.id)}
+                        aria-expanded={component.id === route.item}
+                        aria-controls="architecture-details"
+                        className={`arch-component bg-white p-6 rounded-lg shadow-sm border-2 cursor-pointer hover:border-indigo-500 focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 transition ${component.id === route.item ? 'border-indigo-500' : 'border-transparent'}`}
+                    >
+                        <span className="text-5xl" aria-hidden="true">{component.icon}</span>
+                        <h3 className="text-2xl font-semibold mt-4">{component.name}</h3>
+                        <p className="text-zinc-500">{component.subtitle}</p>
+                    </button>
+                ))}
             </div>
-            <div id="architecture-details" className="mt-8 bg-white p-8 rounded-lg shadow-sm border border-zinc-200 min-h-[200px]">
+            <div id="architecture-details" role="region" aria-live="polite" aria-label="Component details" className="mt-8 bg-white p-8 rounded-lg shadow-sm border border-zinc-200 min-h-[200px]">
                 {details ? (
                     <>
                         <h3 className="text-2xl font-semibold mb-4 text-indigo-600">{details.title}</h3>
-                        <p className="text-zinc-700 leading-relaxed" dangerouslySetInnerHTML={{ __html: details.content }}></p>
+                        <Markdown blocks={details.blocks} />
                     </>
                 ) : (
                     <p className="text-zinc-500">Select a component above to view its details.</p>
@@ -244,131 +120,312 @@ const Architecture = () => {
 };
 
 const Simulation = () => {
-    const [simData, setSimData] = useState(JSON.parse(JSON.stringify(initialSimState)));
-    const [log, setLog] = useState([{ type: 'info', message: 'Simulation not started. Press "Run Cycle".' }]);
-    
-    const logToSim = (message, type = 'info') => {
-        setLog(prevLog => [...prevLog.slice(-20), { type, message }]);
-    };
-    
-    const runSimulationCycle = () => {
-        setSimData(currentData => {
-            const newData = JSON.parse(JSON.stringify(currentData));
-
-            if (newData.goals.active.length > 0) {
-                const goal = newData.goals.active[0];
-                newData.focus = goal.match(/'(.*?)'/)[1];
-                logToSim(`Goal-directed focus: <strong>${newData.focus}</strong>`);
-
-                const shouldFail = Math.random() < 0.25 || newData.state.pain > 50;
-
-                if (goal.includes("Deepen understanding")) {
-                    if (shouldFail) {
-                        logToSim(`LLM response malformed. Rejecting thought.`, 'warn');
-                        newData.state.pain = Math.min(100, newData.state.pain + 25);
-                        if (newData.state.pain >= 80) {
-                            logToSim(`Pain threshold reached for '${newData.focus}'. This is too difficult.`, 'critical');
-                            logToSim(`New Strategy: Break down the concept.`);
-                            newData.goals.active.shift();
-                            newData.goals.active.unshift(`Break down the concept: '${newData.focus}'`);
-                            newData.state.pain = 0;
-                        }
-                    } else {
-                        logToSim(`Successfully understood '${newData.focus}'. Storing memory.`, 'success');
-                        newData.memory.nodes[newData.focus].understood = true;
-                        newData.goals.completed.push(newData.goals.active.shift());
-                        newData.state.pain = Math.max(0, newData.state.pain - 20);
-                    }
-                } else if (goal.includes("Break down")) {
-                    logToSim(`Successfully broke down '${newData.focus}'.`, 'success');
-                    const subConcepts = [`${newData.focus}-A`, `${newData.focus}-B`];
-                    logToSim(`New sub-concepts discovered: ${subConcepts.join(', ')}`);
-                    const parentNode = newData.memory.nodes[newData.focus];
-                    newData.goals.active.shift();
-                    subConcepts.reverse().forEach((sc, i) => {
-                        newData.memory.nodes[sc] = {
-                            x: parentNode.x + (i * 15 - 10),
-                            y: parentNode.y + 25,
-                            understood: false
-                        };
-                        newData.memory.links.push({ source: newData.focus, target: sc });
-                        newData.goals.active.unshift(`Deepen understanding of the concept: '${sc}'`);
-                    });
-                }
-            } else {
-                logToSim(`Idle mode. No active goals.`);
-                newData.state.boredom = Math.min(100, newData.state.boredom + 15);
-
-                if (newData.state.boredom >= 75) {
-                    logToSim(`Boredom threshold reached. Seeking novelty.`, 'critical');
-                    newData.goals.active.push(`Expand knowledge from '${newData.focus}'`);
-                    newData.state.boredom = 0;
-                } else {
-                    const neighbors = newData.memory.links
-                        .filter(l => l.source === newData.focus || l.target === newData.focus)
-                        .map(l => (l.source === newData.focus ? l.target : l.source));
-                    if (neighbors.length > 0) {
-                        newData.focus = neighbors[Math.floor(Math.random() * neighbors.length)];
-                        logToSim(`Mind wanders to: <strong>${newData.focus}</strong>`);
-                    }
-                }
+    // The seed and parameters the current run was started with, initially from a shared
+    // `#simulation?...` link.
+    const [experiment, setExperiment] = useState(() => {
+        const shared = decodeExperiment(window.location.hash);
+        return { seed: shared?.seed ?? DEFAULT_SEED, params: shared?.params ?? DEFAULT_PARAMS };
+    });
+    const [history, setHistory] = useState(() => {
+        const initial = createInitialState(experiment.seed, experiment.params);
+        return createHistory(initial, [logEvent(initial, 'info', 'Simulation not started. Press "Run Cycle".')]);
+    });
+    const [replay, setReplay] = useState(null);
+    const [reasoningConfig, setReasoningConfig] = useState(DEFAULT_REASONING_CONFIG);
+    const [isThinking, setIsThinking] = useState(false);
+    const [autorun, setAutorun] = useState({ playing: false, speed: 2, until: null });
+    // The saved session this run belongs to (without its history, which is `history`).
+    const [session, setSession] = useState(() => createSession({ ...experiment, history: null }));
+    const [sessions, setSessions] = useState([]);
+    const [saveError, setSaveError] = useState(null);
+    const [multiAgent, setMultiAgent] = useState(false);
+    // The multi-agent run stays mounted once opened, so switching modes keeps both runs.
+    const [multiAgentOpened, setMultiAgentOpened] = useState(false);
+
+    const simData = currentEntry(history).state;
+
+    // While a run log is being replayed, every panel renders the replay frame instead
+    // of the live simulation.
+    const replayFrame = replay && replay.frames.length > 0 ? replay.frames[replay.index] : null;
+    const view = replayFrame || simData;
+    const logEntries = useMemo(() => (replay && replay.frames.length > 0 ? logItems(replay.frames) : runLog(history)), [replay, history]);
+    const driveSeries = useMemo(() => buildDriveSeries(replay && replay.frames.length > 0
+        ? replay.frames.slice(0, replay.index + 1)
+        : history.entries.slice(0, history.index + 1).map(entry => entry.state)
+    ), [replay, history]);
+
+    // Resolves to the new history entry, or null when the cycle failed (the backend could
+    // not be reached or the cycle threw); the failure is logged as a critical event. If the
+    // viewed state changed while the cycle was awaited (the run was reset or replaced), its
+    // result belongs to a state that is gone and is dropped.
+    const runSimulationCycle = useCallback(async () => {
+        setIsThinking(true);
+        const continues = (h) => currentEntry(h).state === simData;
+        try {
+            const entry = await advanceWith(simData, createBackend(reasoningConfig));
+            setHistory(h => (continues(h) ? pushEntry(h, entry) : h));
+            return entry;
+        } catch (e) {
+            const message = e instanceof ReasoningBackendError
+                ? `Reasoning backend unavailable: ${e.message}`
+                : `Cycle failed: ${e.message || e}`;
+            setHistory(h => (continues(h) ? appendEvents(h, [logEvent(currentEntry(h).state, 'critical', message)]) : h));
+            return null;
+        } finally {
+            setIsThinking(false);
+        }
+    }, [simData, reasoningConfig]);
+
+    useEffect(() => {
+        if (!autorun.playing || isThinking || replay) return undefined;
+        const timer = setTimeout(async () => {
+            const previous = simData;
+            const entry = await runSimulationCycle();
+            const stop = autorun.until && STOP_CONDITIONS[autorun.until];
+            if (!entry || (stop && stop(previous, entry))) {
+                setAutorun(a => ({ ...a, playing: false }));
             }
-            return newData;
+        }, 1000 / autorun.speed);
+        return () => clearTimeout(timer);
+    }, [autorun, isThinking, replay, simData, runSimulationCycle]);
+
+    const refreshSessions = useCallback(() => listSessions().then(setSessions), []);
+
+    // Reopen the most recent run, unless the page was opened from a shared experiment link.
+    useEffect(() => {
+        let cancelled = false;
+        const shared = decodeExperiment(window.location.hash) !== null;
+        listSessions()
+            .then(list => {
+                if (cancelled) return null;
+                setSessions(list);
+                return shared || list.length === 0 ? null : loadSession(list[0].id);
+            })
+            .then(stored => {
+                if (cancelled || !stored) return;
+                const latest = upgradeSession(stored);
+                setExperiment({ seed: latest.seed, params: latest.params });
+                setHistory(latest.history);
+                setSession({ ...latest, history: null });
+            })
+            .catch(e => setSaveError(`Not saved: ${e.message || 'Saved sessions are unavailable.'}`));
+        return () => { cancelled = true; };
+    }, []);
+
+    // Save the run a moment after it last changed. A run nobody has touched yet is not
+    // worth a list entry.
+    useEffect(() => {
+        if (history.entries.length < 2) return undefined;
+        const timer = setTimeout(() => {
+            saveSession({ ...session, updatedAt: Date.now(), history })
+                .then(() => {
+                    setSaveError(null);
+                    return refreshSessions();
+                })
+                .catch(e => setSaveError(`Not saved: ${e.message || 'Could not save the session.'}`));
+        }, 500);
+        return () => clearTimeout(timer);
+    }, [history, session, refreshSessions]);
+
+    // Starting over keeps the previous run in the session list.
+    const startRun = useCallback(({ seed, params }, message) => {
+        setAutorun(a => ({ ...a, playing: false }));
+        const initial = createInitialState(seed, params);
+        setHistory(createHistory(initial, [logEvent(initial, 'info', message)]));
+        setSession(createSession({ seed, params, history: null }));
+    }, []);
+
+    // A shared link opened while the simulation is already shown only changes the hash,
+    // so its experiment is applied here rather than when the page mounts.
+    useEffect(() => {
+        const handleHashChange = () => {
+            const next = sharedExperiment(window.location.hash, experiment);
+            if (!next) return;
+            startRun(next, `Shared experiment opened (seed ${next.seed}). Press "Run Cycle".`);
+            setExperiment(next);
+        };
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, [experiment, startRun]);
+
+    const resetSimulation = () => {
+        startRun(experiment, 'Simulation reset. Press "Run Cycle".');
+    };
+
+    const applyExperiment = ({ seed, params }) => {
+        startRun({ seed, params }, `Parameters applied (seed ${seed}). Press "Run Cycle".`);
+        setExperiment({ seed, params });
+        window.history.replaceState(null, '', experimentHash({ seed, params }));
+    };
+
+    // Failures of the session list actions are reported where save failures are.
+    const sessionAction = (failure, action) => async (id) => {
+        try {
+            await action(id);
+        } catch (e) {
+            setSaveError(`${failure}: ${e.message || 'saved sessions are unavailable.'}`);
+        }
+    };
+
+    const openSession = sessionAction('Could not open the session', async (id) => {
+        const stored = await loadSession(id);
+        if (!stored) return;
+        const saved = upgradeSession(stored);
+        setAutorun(a => ({ ...a, playing: false }));
+        setExperiment({ seed: saved.seed, params: saved.params });
+        setHistory(saved.history);
+        setSession({ ...saved, history: null });
+        window.history.replaceState(null, '', '#simulation');
+    });
+
+    const copySession = sessionAction('Could not duplicate the session', async (id) => {
+        const saved = await loadSession(id);
+        if (!saved) return;
+        await saveSession(duplicateSession(saved));
+        await refreshSessions();
+    });
+
+    const removeSession = sessionAction('Could not delete the session', async (id) => {
+        await deleteSession(id);
+        await refreshSessions();
+    });
+
+    const setFocus = (concept) => {
+        setAutorun(a => ({ ...a, playing: false }));
+        setHistory(h => {
+            const state = { ...currentEntry(h).state, focus: concept };
+            return pushEntry(h, { state, events: [logEvent(state, 'info', `Focus manually set to ${concept}`)] });
         });
     };
 
-    const resetSimulation = () => {
-        setSimData(JSON.parse(JSON.stringify(initialSimState)));
-        setLog([{ type: 'info', message: 'Simulation reset. Press "Run Cycle".' }]);
+    const feedDocument = (text, name) => {
+        setAutorun(a => ({ ...a, playing: false }));
+        setHistory(h => {
+            const { state, events } = ingestDocument(currentEntry(h).state, text, name);
+            return pushEntry(h, { state, events });
+        });
     };
-    
+
+    const jumpTo = (frame) => {
+        if (replay) {
+            setReplay(r => ({ ...r, index: frame, playing: false }));
+            return;
+        }
+        setAutorun(a => ({ ...a, playing: false }));
+        setHistory(h => moveTo(h, frame));
+    };
+
+    const importMind = (state, loaded) => {
+        setHistory(h => pushEntry(h, {
+            state,
+            events: [logEvent(state, 'info', `Imported ${loaded.length} mind file(s) (${loaded.map(f => f.kind).join(', ')}).`)],
+        }));
+    };
+
     return (
         <>
-            <h2 className="text-4xl font-bold mb-6">The Consciousness Loop: Interactive Simulation</h2>
-            <p className="text-lg text-zinc-600 mb-8">This dashboard simulates the Hizawye AI's life-cycle. Press "Run Cycle" to advance the AI's thought process one step at a time. Observe how its internal states change and how it adapts its goals and strategies based on its experiences.</p>
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="mb-6 inline-flex rounded-lg border border-zinc-300 overflow-hidden text-sm font-medium" role="group" aria-label="Number of agents">
+                {[[false, 'One agent'], [true, 'Several agents']].map(([value, label]) => (
+                    <button
+                        key={label}
+                        onClick={() => {
+                            setAutorun(a => ({ ...a, playing: false }));
+                            setMultiAgent(value);
+                            if (value) setMultiAgentOpened(true);
+                        }}
+                        aria-pressed={multiAgent === value}
+                        className={`py-2 px-4 transition ${multiAgent === value ? 'bg-indigo-600 text-white' : 'bg-white text-zinc-700 hover:bg-zinc-100'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            {multiAgentOpened && (
+                <div className={multiAgent ? '' : 'hidden'}>
+                    <MultiAgentSimulation experiment={experiment} reasoningConfig={reasoningConfig} active={multiAgent} />
+                </div>
+            )}
+            <div className={`grid grid-cols-1 lg:grid-cols-3 gap-6 ${multiAgent ? 'hidden' : ''}`}>
                 <div className="lg:col-span-1 space-y-6">
                     <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
                         <h3 className="text-xl font-semibold mb-4">Controls</h3>
                         <div className="flex gap-4">
-                            <button onClick={runSimulationCycle} className="w-full bg-indigo-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-indigo-700 transition">Run Cycle</button>
-                            <button onClick={resetSimulation} className="w-full bg-zinc-200 text-zinc-800 font-bold py-3 px-4 rounded-lg hover:bg-zinc-300 transition">Reset</button>
+                            <button onClick={runSimulationCycle} disabled={!!replay || isThinking || autorun.playing} className="w-full bg-indigo-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">{isThinking ? 'Thinking…' : 'Run Cycle'}</button>
+                            <button onClick={resetSimulation} disabled={!!replay || isThinking} className="w-full bg-zinc-200 text-zinc-800 font-bold py-3 px-4 rounded-lg hover:bg-zinc-300 transition disabled:opacity-50">Reset</button>
                         </div>
+                        <AutorunControls
+                            autorun={autorun}
+                            setAutorun={setAutorun}
+                            history={history}
+                            onStepBack={() => setHistory(h => moveTo(h, h.index - 1))}
+                            onStepForward={() => setHistory(h => moveTo(h, h.index + 1))}
+                            disabled={!!replay}
+                            thinking={isThinking}
+                        />
                     </div>
                     <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
                         <h3 className="text-xl font-semibold mb-4">Internal State</h3>
-                        <div className="space-y-4">
-                            <StateChart label="Curiosity" value={simData.state.curiosity} color="rgba(79, 70, 229, 0.6)" />
-                            <StateChart label="Boredom" value={simData.state.boredom} color="rgba(245, 158, 11, 0.6)" />
-                            <StateChart label="Pain" value={simData.state.pain} color="rgba(220, 38, 38, 0.6)" />
-                        </div>
+                        <dl className="grid grid-cols-2 gap-4 text-center">
+                            <div>
+                                <dt className="font-medium text-zinc-700">Curiosity</dt>
+                                <dd className="text-2xl font-bold text-indigo-600">{view.state.curiosity}</dd>
+                            </div>
+                            <div>
+                                <dt className="font-medium text-zinc-700">Boredom</dt>
+                                <dd className="text-2xl font-bold text-amber-500">{view.state.boredom}</dd>
+                            </div>
+                            <div>
+                                <dt className="font-medium text-zinc-700">Confusion Pain</dt>
+                                <dd className="text-2xl font-bold text-red-600">{view.state.pain}</dd>
+                            </div>
+                            <div>
+                                <dt className="font-medium text-zinc-700">Conflict Pain</dt>
+                                <dd className="text-2xl font-bold text-purple-600">{view.state.conflict ?? 0}</dd>
+                            </div>
+                        </dl>
                     </div>
                     <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
                         <h3 className="text-xl font-semibold mb-2">Current Focus</h3>
-                        <p className="text-2xl font-bold text-indigo-600 truncate">{simData.focus || '-'}</p>
+                        <p className="text-2xl font-bold text-indigo-600 truncate">{view.focus || '-'}</p>
                     </div>
+                    <BeliefsPanel simState={view} />
+                    <SessionsPanel
+                        current={session}
+                        sessions={sessions}
+                        saveError={saveError}
+                        onRename={name => setSession(current => ({ ...current, name }))}
+                        onOpen={openSession}
+                        onDuplicate={copySession}
+                        onDelete={removeSession}
+                        disabled={!!replay || autorun.playing || isThinking}
+                    />
+                    <ParametersPanel experiment={experiment} onApply={applyExperiment} disabled={!!replay || autorun.playing || isThinking} />
+                    <FeedDocumentPanel onFeed={feedDocument} disabled={!!replay || isThinking} />
+                    <ReasoningPanel config={reasoningConfig} onChange={setReasoningConfig} disabled={isThinking} />
+                    <MindFilesPanel simData={simData} onImport={importMind} disabled={isThinking} />
+                    <ReplayPanel replay={replay} setReplay={setReplay} baseState={simData} />
                 </div>
                 <div className="lg:col-span-2 space-y-6">
                     <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
                         <h3 className="text-xl font-semibold mb-2">Active Goal</h3>
-                        <p className="text-zinc-600 font-mono">{simData.goals.active[0] || 'None (Idle)'}</p>
+                        <p className="text-zinc-600 font-mono">{view.goals.active[0]?.text || 'None (Idle)'}</p>
                     </div>
-                    <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
-                        <h3 className="text-xl font-semibold mb-4">Thought & Action Log</h3>
-                        <div className="h-48 bg-zinc-900 text-white font-mono text-sm p-4 rounded-md overflow-y-auto">
-                            {log.map((item, index) => {
-                                let prefix = 'INFO';
-                                let colorClass = 'text-zinc-300';
-                                if (item.type === 'success') { prefix = '✅ OK'; colorClass = 'text-green-400'; }
-                                else if (item.type === 'warn') { prefix = '⚠️ WARN'; colorClass = 'text-amber-400'; }
-                                else if (item.type === 'critical') { prefix = '🔥 CRITICAL'; colorClass = 'text-red-400'; }
-                                return <p key={index}><span className={colorClass}>{prefix}:</span> <span dangerouslySetInnerHTML={{ __html: item.message }}></span></p>;
-                            })}
-                        </div>
+                    <GoalTreePanel goals={view.goals} />
+                    <WorkspacePanel workspace={view.workspace} />
+                    <DriveHistoryChart series={driveSeries} chart="drives" />
+                    <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                        <DriveHistoryChart series={driveSeries} chart="confusion" />
+                        <DriveHistoryChart series={driveSeries} chart="conflict" />
                     </div>
+                    <ThoughtLog
+                        items={logEntries}
+                        current={replayFrame ? replay.index : history.index}
+                        onJump={jumpTo}
+                        concepts={Object.keys(view.memory.nodes).sort()}
+                    />
                     <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
-                        <h3 className="text-xl font-semibold mb-4">Simplified Memory Map</h3>
-                        <MemoryMap memory={simData.memory} focus={simData.focus} />
+                        <h3 className="text-xl font-semibold mb-4">Memory Map</h3>
+                        <MemoryMap memory={view.memory} focus={view.focus} onSetFocus={replayFrame ? null : setFocus} focusDisabled={isThinking} />
                     </div>
                 </div>
             </div>
@@ -376,63 +433,108 @@ const Simulation = () => {
     );
 };
 
-const Findings = () => (
-    <>
-        <h2 className="text-4xl font-bold mb-6">Key Findings & Future Work</h2>
-        <p className="text-lg text-zinc-600 mb-8">Analysis of the AI's behavior revealed key successes and significant challenges, paving the way for future research.</p>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-            <div>
-                <h3 className="text-2xl font-semibold mb-4 text-green-600">✅ Success: Emergent Strategic Failure</h3>
-                <p className="text-zinc-700 leading-relaxed">A key finding was the successful execution of the strategic failure mechanism. When faced with a repeated inability to understand a concept, the AI's "pain" state would cross a threshold. This triggered a new, meta-goal to "break down" the difficult concept into simpler parts. This demonstrates a powerful, emergent problem-solving capability that was not explicitly programmed but arose from the interaction of the system's simple rules.</p>
-            </div>
-            <div>
-                <h3 className="text-2xl font-semibold mb-4 text-amber-600">⚠️ Challenge: Brittle Reasoning Core</h3>
-                <p className="text-zinc-700 leading-relaxed">The primary source of failure was the brittleness of the small LLM. The logs are filled with instances where it would get confused and echo its instructions instead of performing the task. This highlights a key challenge: the control script's intelligence is handicapped by the limitations of its reasoning tool. The system required multiple validation and parsing logic upgrades to handle malformed data from its own "brain".</p>
-            </div>
-        </div>
-        <div className="mt-12 bg-white p-8 rounded-lg shadow-sm border border-zinc-200">
-            <h3 className="text-2xl font-semibold mb-4 text-indigo-600">🚀 Future Work</h3>
-            <ul className="list-disc list-inside space-y-3 text-zinc-700">
-                <li><b>Upgrading the Reasoning Core:</b> Swapping `tinyllama` with a more powerful, instruction-following LLM would be the most significant improvement.</li>
-                <li><b>Refining Internal States:</b> "Pain" could be divided into "confusion pain" (from failed tasks) and "conflict pain" (from discovering contradictory beliefs).</li>
-                <li><b>Sensory Input:</b> Giving the AI the ability to "read" external data (e.g., a Wikipedia article) to incorporate new, external knowledge into its memory graph.</li>
-                <li><b>Memory Forgetting:</b> Implementing a "memory decay" mechanism, where nodes and connections that are not frequently visited become weaker over time.</li>
-            </ul>
-        </div>
-    </>
+const CARD_TONES = {
+    accent: 'text-indigo-600',
+    success: 'text-green-600',
+    warning: 'text-amber-600',
+};
+
+// Spelled out so Tailwind sees the class names.
+const CARD_COLUMNS = {
+    2: 'md:grid-cols-2',
+    3: 'md:grid-cols-3',
+};
+
+// Views shown below the text of sections whose content file names them as `component`.
+const SECTION_COMPONENTS = {
+    architecture: Architecture,
+    simulation: Simulation,
+    experiments: Experiments,
+    compare: CompareRuns,
+};
+
+// The heading of a page, focusable so navigation can move focus to it.
+const PageHeading = ({ id, headingRef, children }) => (
+    <h2 id={`${id}-heading`} ref={headingRef} tabIndex={-1} className="text-4xl font-bold mb-6 focus:outline-none">{children}</h2>
+);
+
+// One section of the site: its heading and lead, its cards and its interactive view.
+const ContentPage = ({ section, content, route, headingRef }) => {
+    const View = SECTION_COMPONENTS[section.component];
+    // A last card that would sit alone in its row takes the whole row.
+    const wide = (i) => i === section.cards.length - 1 && i % section.columns === 0;
+    return (
+        <ContentSection id={`page-${section.id}`} activeSection={`page-${section.id}`}>
+            <PageHeading id={`page-${section.id}`} headingRef={headingRef}>{section.title}</PageHeading>
+            <Markdown blocks={section.lead} className="text-lg text-zinc-600 mb-8" />
+            {section.cards.length > 0 && (
+                <div className={`grid grid-cols-1 ${CARD_COLUMNS[section.columns] || ''} gap-6`}>
+                    {section.cards.map((card, i) => (
+                        <div key={card.title} className={`bg-white p-6 rounded-lg shadow-sm border border-zinc-200 ${wide(i) ? 'md:col-span-full' : ''}`}>
+                            <h3 className={`text-2xl font-semibold mb-4 ${CARD_TONES[card.tone] || CARD_TONES.accent}`}>{card.title}</h3>
+                            <Markdown blocks={card.blocks} />
+                        </div>
+                    ))}
+                </div>
+            )}
+            {View && <View content={content} route={route} />}
+        </ContentSection>
+    );
+};
+
+const NotFound = ({ hash, home, headingRef }) => (
+    <ContentSection id="page-not-found" activeSection="page-not-found">
+        <PageHeading id="page-not-found" headingRef={headingRef}>Page Not Found</PageHeading>
+        <p className="text-lg text-zinc-600 mb-8">
+            There is no page at <code className="font-mono text-base bg-zinc-200 rounded px-1">{hash}</code>.
+            {home && <> Go back to <a href={routeHash(home.id)} className="text-indigo-600 hover:underline">{home.nav}</a>.</>}
+        </p>
+    </ContentSection>
 );
 
 
 // --- Main App Component ---
 export default function App() {
-    const [activeSection, setActiveSection] = useState('home');
-    
+    const [hash, setHash] = useState(window.location.hash);
+
     useEffect(() => {
-        const handleHashChange = () => {
-            const hash = window.location.hash.replace('#', '');
-            if (hash) {
-                setActiveSection(hash);
-            } else {
-                setActiveSection('home');
-            }
-        };
+        const handleHashChange = () => setHash(window.location.hash);
         window.addEventListener('hashchange', handleHashChange);
-        handleHashChange(); // Initial check
         return () => window.removeEventListener('hashchange', handleHashChange);
     }, []);
 
-    const renderSection = () => {
-        switch (activeSection) {
-            case 'architecture':
-                return <Architecture />;
-            case 'simulation':
-                return <Simulation />;
-            case 'findings':
-                return <Findings />;
-            case 'home':
-            default:
-                return <Home />;
+    // The site's sections and architecture components, from src/content.
+    const [content, setContent] = useState(null);
+    const [contentError, setContentError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadContent()
+            .then(loaded => { if (!cancelled) setContent(loaded); })
+            .catch(e => { if (!cancelled) setContentError(e.message || 'The site content could not be loaded.'); });
+        return () => { cancelled = true; };
+    }, []);
+
+    const route = useMemo(() => content && resolveRoute(hash, content.sections, {
+        architecture: content.architecture.map(component => component.id),
+    }), [hash, content]);
+    const page = route && (route.notFound ? 'not-found' : route.section.id);
+
+    // Move focus to the heading of each page navigated to, but not of the first one.
+    const headingRef = useRef(null);
+    const previousPage = useRef(null);
+    useEffect(() => {
+        if (previousPage.current && page !== previousPage.current && headingRef.current) {
+            headingRef.current.focus();
         }
+        previousPage.current = page;
+    }, [page]);
+
+    const renderSection = () => {
+        if (contentError) return <p className="text-red-600">{contentError}</p>;
+        if (!content) return <p className="text-zinc-500">Loading…</p>;
+        if (route.notFound) return <NotFound hash={hash} home={content.sections[0]} headingRef={headingRef} />;
+        return <ContentPage key={route.section.id} section={route.section} content={content} route={route} headingRef={headingRef} />;
     };
 
     return (
@@ -445,13 +547,9 @@ export default function App() {
                 .content-section { display: none; }
                 .content-section.active { display: block; animation: fadeIn 0.5s ease-in-out; }
                 @keyframes fadeIn { from { opacity: 0; transform: translateY(10px); } to { opacity: 1; transform: translateY(0); } }
-                .chart-container { position: relative; height: 60px; width: 100%; }
-                .graph-node { transition: all 0.3s ease-in-out; }
-                .graph-node.active { transform: scale(1.1); box-shadow: 0 0 15px rgba(79, 70, 229, 0.7); border-color: #4f46e5 !important; }
-                .graph-link { position: absolute; background-color: #a1a1aa; height: 2px; transform-origin: left; z-index: 0; }
             `}</style>
             <div className="flex flex-col md:flex-row min-h-screen">
-                <Sidebar activeSection={activeSection} setActiveSection={setActiveSection} />
+                <Sidebar sections={content ? content.sections : []} activeSection={route && route.section ? route.section.id : null} />
                 <main className="flex-1 p-4 sm:p-6 md:p-10 overflow-y-auto">
                     {renderSection()}
                 </main>
@@ -1,8 +1,1006 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, within } from '@testing-library/react';
 import App from './App';
+import ThoughtLog from './components/ThoughtLog';
+import { advance, advanceWith, createInitialState, pendingReasoning, step } from './simulation/engine';
+import { exportMindFiles, importMindFiles } from './simulation/mindFiles';
+import { findCriticalFrame, parseRunLog, RunLogError } from './simulation/replay';
+import {
+  appendEvents, createHistory, currentEntry, eventsUntil, HISTORY_LIMIT, moveTo, packHistory, pushEntry, runLog, STOP_CONDITIONS, unpackHistory,
+} from './simulation/history';
+import { buildDriveSeries, seriesToCsv } from './simulation/driveSeries';
+import { createLayout, shortLabel, syncLayout, tick } from './utils/forceLayout';
+import { decodeExperiment, DEFAULT_PARAMS, experimentHash, PRESETS, sharedExperiment } from './simulation/params';
+import { graphDepth, histogram, runBatch, summarise } from './simulation/experiments';
+import { completeGoal, goalFromText, registerGoalType, GOAL_TYPES } from './simulation/goals';
+import { applyMemoryDynamics } from './simulation/memoryDynamics';
+import { extractConcepts, ingestDocument } from './simulation/sensoryInput';
+import { compete } from './simulation/workspace';
+import {
+  compareSessions, createSession, duplicateSession, goalTimeline, SAVED_ENTRIES, summariseSession, upgradeSession,
+} from './simulation/sessions';
+import { deleteSession, listSessions, loadSession, saveSession } from './utils/sessionStore';
+import { findContradictions, parseClaims, resolveConflicts } from './simulation/beliefs';
+import { createHttpBackend, ReasoningBackendError, validateResponse } from './simulation/reasoning';
+import { filterLog, logItems, logToJsonl, logToMarkdown } from './simulation/thoughtLog';
+import { advanceWorld, communicate, createWorld, summariseWorld } from './simulation/multiAgent';
+import { buildContent, loadContent } from './content';
+import { parseFrontMatter, parseInline, parseMarkdown } from './utils/markdown';
+import { parseHash, resolveRoute, routeHash } from './utils/router';
+
+const texts = (goals) => goals.map(goal => goal.text);
 
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+describe('simulation engine', () => {
+  const runCycles = (state, rng, count) => {
+    let current = state;
+    const events = [];
+    for (let i = 0; i < count; i++) {
+      const result = step(current, rng);
+      current = result.state;
+      events.push(...result.events);
+    }
+    return { state: current, events };
+  };
+
+  test('the same seed always produces the same trajectory', () => {
+    const runFromSeed = (seed) => {
+      let state = createInitialState(seed);
+      const trajectory = [];
+      for (let i = 0; i < 30; i++) {
+        state = advance(state).state;
+        trajectory.push([state.focus, state.state.pain, state.state.boredom]);
+      }
+      return trajectory;
+    };
+    expect(runFromSeed(7)).toEqual(runFromSeed(7));
+    expect(runFromSeed(7)).not.toEqual(runFromSeed(8));
+  });
+
+  test('repeated failure pushes pain over the threshold and breaks the concept down', () => {
+    const alwaysFail = () => 0;
+    const { state, events } = runCycles(createInitialState(), alwaysFail, 4);
+    expect(events.filter(e => e.type === 'critical')).toHaveLength(1);
+    expect(state.goals.active[0].text).toBe("Break down the concept: 'belief system'");
+    expect(state.state.pain).toBe(0);
+
+    const { state: brokenDown } = step(state, alwaysFail);
+    expect(brokenDown.memory.nodes['belief system-A']).toBeDefined();
+    expect(texts(brokenDown.goals.active)).toEqual([
+      "Deepen understanding of the concept: 'belief system-A'",
+      "Deepen understanding of the concept: 'belief system-B'",
+    ]);
+  });
+
+  test('idle boredom reaches its threshold and seeks novelty', () => {
+    const idle = { ...createInitialState(), goals: { active: [], completed: [] } };
+    const { state, events } = runCycles(idle, () => 0.5, 6);
+    expect(events[events.length - 1]).toMatchObject({ type: 'critical', message: 'Boredom threshold reached. Seeking novelty.' });
+    expect(state.workspace.winner).toBe('impulse:boredom');
+    expect(texts(state.goals.active)).toEqual(["Expand knowledge from 'delusions'"]);
+    expect(state.state.boredom).toBe(0);
+  });
+
+  test('step does not mutate the state it is given', () => {
+    const initial = createInitialState();
+    const snapshot = JSON.stringify(initial);
+    step(initial, () => 0);
+    expect(JSON.stringify(initial)).toBe(snapshot);
+  });
+
+  test('states share the goals completed before them instead of copying them', () => {
+    const { state: first } = step(createInitialState(), () => 0.5);
+    const { state: second } = step(first, () => 0.5);
+    expect(first.goals.completed).toHaveLength(1);
+    expect(second.goals.completed[0]).toBe(first.goals.completed[0]);
+    expect(second.goals.completed).not.toBe(first.goals.completed);
+  });
+});
+
+describe('mind files', () => {
+  const graph = {
+    directed: true,
+    nodes: [{ id: 'self', description: 'The observer.' }, { id: 'world' }],
+    links: [{ source: 'self', target: 'world' }],
+  };
+
+  test('imports state, goals and a node-link graph into the sim shape', () => {
+    const { state, loaded, errors } = importMindFiles(createInitialState(), [
+      { name: 'state.json', text: JSON.stringify({ curiosity: 10, boredom: 20, pain: 30 }) },
+      { name: 'goals.json', text: JSON.stringify({ active: ["Deepen understanding of the concept: 'world'"], completed: [] }) },
+      { name: 'mind_graph.json', text: JSON.stringify(graph) },
+    ]);
+    expect(errors).toEqual([]);
+    expect(loaded.map(f => f.kind)).toEqual(['state', 'goals', 'graph']);
+    expect(state.state).toEqual({ curiosity: 10, boredom: 20, pain: 30, conflict: 0 });
+    expect(state.memory.nodes.self.understood).toBe(true);
+    expect(state.memory.nodes.world.understood).toBe(false);
+    expect(state.focus).toBe('world');
+  });
+
+  test('reports invalid files without applying them', () => {
+    const initial = createInitialState();
+    const { state, errors } = importMindFiles(initial, [
+      { name: 'state.json', text: JSON.stringify({ curiosity: 10, boredom: 'high', pain: 0 }) },
+      { name: 'graph.json', text: JSON.stringify({ nodes: [{ id: 'a' }], links: [{ source: 'a', target: 'b' }] }) },
+      { name: 'goals.json', text: '{ not json' },
+    ]);
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toBe('state.json: "boredom" must be a number.');
+    expect(errors[1]).toBe('graph.json: link 0 references unknown node "b".');
+    expect(state.state).toEqual(initial.state);
+  });
+
+  test('exported files import back to the same state', () => {
+    const { state } = importMindFiles(createInitialState(), [{ name: 'graph.json', text: JSON.stringify(graph) }]);
+    const files = Object.entries(exportMindFiles(state)).map(([name, data]) => ({ name, text: JSON.stringify(data) }));
+    const { state: roundTripped, errors } = importMindFiles(createInitialState(), files);
+    expect(errors).toEqual([]);
+    expect(roundTripped.memory).toEqual(state.memory);
+    expect(roundTripped.goals).toEqual(state.goals);
+  });
+
+  test('node ids that name Object properties are ordinary concepts', () => {
+    const ids = ['constructor', 'toString', '__proto__'];
+    const { state, errors } = importMindFiles(createInitialState(), [{
+      name: 'graph.json',
+      text: JSON.stringify({ nodes: ids.map(id => ({ id })), links: [{ source: 'constructor', target: '__proto__' }] }),
+    }]);
+    expect(errors).toEqual([]);
+    expect(Object.keys(state.memory.nodes)).toEqual(expect.arrayContaining(ids));
+    expect(state.memory.nodes.__proto__).toMatchObject({ understood: false });
+    expect(state.memory.links).toEqual([{ source: 'constructor', target: '__proto__' }]);
+  });
+});
+
+describe('run log replay', () => {
+  const textLog = [
+    '2025-06-01 10:00:00,000 - INFO - --- Cycle 1 ---',
+    "2025-06-01 10:00:00,100 - INFO - Goal: Deepen understanding of the concept: 'belief system'",
+    '2025-06-01 10:00:00,200 - WARNING - LLM response malformed: {"thought": "Your task is to',
+    '2025-06-01 10:00:00,300 - INFO - State: curiosity=60 boredom=0 pain=25',
+    '2025-06-01 10:00:01,000 - INFO - --- Cycle 2 ---',
+    "2025-06-01 10:00:01,100 - CRITICAL - Pain threshold reached for 'belief system'. This is too difficult.",
+    '2025-06-01 10:00:02,000 - INFO - --- Cycle 3 ---',
+    "2025-06-01 10:00:02,100 - INFO - Successfully understood 'knowledge'. <b>Storing</b> memory.",
+  ].join('\n');
+
+  test('groups text log lines into per-cycle frames with drives, goals and event types', () => {
+    const frames = parseRunLog(textLog, createInitialState());
+    expect(frames.map(f => f.cycle)).toEqual([1, 2, 3]);
+    expect(frames[0].events.map(e => e.type)).toEqual(['info', 'info', 'warn', 'info']);
+    expect(frames[0].state.pain).toBe(25);
+    expect(texts(frames[0].goals.active)).toEqual(["Deepen understanding of the concept: 'belief system'"]);
+    expect(frames[1].state.pain).toBe(25);
+    expect(frames[2].memory.nodes.knowledge.understood).toBe(true);
+    expect(frames[2].events[1]).toMatchObject({ cycle: 3, message: expect.stringContaining('<b>Storing</b>') });
+    expect(new Date(frames[2].events[1].timestamp).getSeconds()).toBe(2);
+  });
+
+  test('reads JSON lines and finds critical frames in both directions', () => {
+    const jsonLog = [
+      JSON.stringify({ cycle: 1, level: 'info', message: 'start', focus: 'self', state: { curiosity: 50, boredom: 10, pain: 0 } }),
+      JSON.stringify({ cycle: 2, level: 'error', message: 'crash', pain: 90 }),
+      JSON.stringify({ cycle: 3, level: 'success', message: 'recovered' }),
+    ].join('\n');
+    const frames = parseRunLog(jsonLog, createInitialState());
+    expect(frames).toHaveLength(3);
+    expect(frames[0].memory.nodes.self).toBeDefined();
+    expect(frames[1].events[0].type).toBe('critical');
+    expect(frames[1].state).toEqual({ curiosity: 50, boredom: 10, pain: 90, conflict: 0 });
+    expect(findCriticalFrame(frames, 0, 1)).toBe(1);
+    expect(findCriticalFrame(frames, 2, -1)).toBe(1);
+    expect(findCriticalFrame(frames, 1, 1)).toBe(-1);
+  });
+
+  test('JSON lines with an invalid state or drive are reported with their line number', () => {
+    const start = JSON.stringify({ cycle: 1, message: 'start' });
+    const parse = (line) => () => parseRunLog([start, '', line].join('\n'), createInitialState());
+    expect(parse(JSON.stringify({ cycle: 2, message: 'x', state: 'calm' }))).toThrow(new RunLogError(3, '"state" must be an object of drives.'));
+    expect(parse(JSON.stringify({ cycle: 2, message: 'x', state: [1] }))).toThrow('Line 3: "state" must be an object');
+    expect(parse(JSON.stringify({ cycle: 2, message: 'x', state: { pain: 120 } }))).toThrow('Line 3: Drive "pain" must be a number from 0 to 100.');
+    expect(parse(JSON.stringify({ cycle: 2, message: 'x', curiosity: '50' }))).toThrow('Line 3: Drive "curiosity"');
+    expect(parse('{"cycle": 2, "message": "x", "boredom": -1}')).toThrow(RunLogError);
+    expect(parse('{"thought": "Your task is to')()[0].events[1].message).toBe('{"thought": "Your task is to');
+  });
+});
+
+describe('reasoning backends', () => {
+  const fakeServer = (response) => jest.fn(() => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({ response }),
+  }));
+
+  test('validates JSON, missing fields and echoed instructions', () => {
+    expect(validateResponse('{"description": "A set of held truths."}').valid).toBe(true);
+    expect(validateResponse('Sure! {"description": "Wrapped in chatter."} Hope that helps').valid).toBe(true);
+    expect(validateResponse('I think beliefs are').verdict).toBe('Malformed: no JSON object in response.');
+    expect(validateResponse('{"thought": "hmm"}').verdict).toBe('Malformed: missing "description" field.');
+    expect(validateResponse('{"description": "Your task is to explain the concept"}').verdict)
+      .toBe('Rejected: response echoes the instructions.');
+  });
+
+  test('a malformed server response raises pain and is logged with its prompt and verdict', async () => {
+    const fetchImpl = fakeServer('Respond ONLY with JSON of the form');
+    const { state, events } = await advanceWith(createInitialState(), createHttpBackend(undefined, fetchImpl));
+    expect(fetchImpl).toHaveBeenCalledWith('http://localhost:11434/api/generate', expect.objectContaining({ method: 'POST' }));
+    expect(state.state.pain).toBe(25);
+    expect(events).toEqual(expect.arrayContaining([
+      expect.objectContaining({ message: 'Prompt:', detail: expect.stringContaining('belief system') }),
+      expect.objectContaining({ message: 'Raw response:', detail: 'Respond ONLY with JSON of the form' }),
+      expect.objectContaining({ message: 'Validation: Malformed: no JSON object in response.', type: 'warn' }),
+    ]));
+  });
+
+  test('cycles of the stochastic stub log their prompt and verdict too', () => {
+    const { events } = step(createInitialState(), () => 0);
+    expect(events.map(e => e.message)).toEqual(expect.arrayContaining(['Prompt:', 'Validation: Stub rejected the thought.']));
+    expect(events.some(e => e.message === 'Raw response:')).toBe(false);
+  });
+
+  test('a valid response stores the description, even when pain is high', async () => {
+    const initial = createInitialState();
+    initial.state.pain = 70;
+    const backend = createHttpBackend({ url: 'http://llm.local/', model: 'm', api: 'openai' }, jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: '{"description": "Held truths."}' } }] }),
+    })));
+    const { state } = await advanceWith(initial, backend);
+    expect(state.memory.nodes['belief system']).toMatchObject({ understood: true, description: 'Held truths.' });
+  });
+
+  test('transport failures surface as ReasoningBackendError', async () => {
+    const backend = createHttpBackend(undefined, () => Promise.reject(new Error('connection refused')));
+    await expect(advanceWith(createInitialState(), backend)).rejects.toBeInstanceOf(ReasoningBackendError);
+  });
+});
+
+describe('run history', () => {
+  const runInto = (history, count) => {
+    let current = history;
+    for (let i = 0; i < count; i++) {
+      current = pushEntry(current, advance(current.entries[current.index].state));
+    }
+    return current;
+  };
+
+  test('stepping back shows the state and log as they were at that cycle', () => {
+    const history = runInto(createHistory(createInitialState(), [{ type: 'info', message: 'start' }]), 5);
+    const back = moveTo(history, 2);
+    expect(back.entries[back.index].state.cycle).toBe(2);
+    expect(eventsUntil(back).length).toBeLessThan(eventsUntil(history).length);
+    expect(moveTo(history, -3).index).toBe(0);
+  });
+
+  test('running from an earlier state discards the states after it', () => {
+    const history = runInto(createHistory(createInitialState()), 5);
+    const branched = runInto(moveTo(history, 1), 1);
+    expect(branched.entries).toHaveLength(3);
+    expect(branched.index).toBe(2);
+  });
+
+  test('the log keeps every event of a run longer than the history', () => {
+    const history = runInto(createHistory(createInitialState(), [{ type: 'info', message: 'start' }]), HISTORY_LIMIT + 5);
+    expect(history.entries).toHaveLength(HISTORY_LIMIT);
+    expect(history.entries[0].state.cycle).toBe(6);
+    const log = runLog(history);
+    expect(log[0]).toMatchObject({ cycle: 0, message: 'start', frame: -6 });
+    expect(log[log.length - 1].frame).toBe(HISTORY_LIMIT - 1);
+    expect(logToJsonl(log).split('\n')[0]).toContain('"message":"start"');
+    expect(logToMarkdown(log)).toMatch(/## Cycle 0\n\n- \*\*INFO\*\* start/);
+
+    const branched = appendEvents(runInto(moveTo(history, 2), 1), [{ type: 'critical', message: 'oops' }]);
+    const branchedLog = runLog(branched);
+    expect(branchedLog.filter(item => item.cycle > 9)).toEqual([]);
+    expect(branchedLog[branchedLog.length - 1]).toMatchObject({ cycle: 9, message: 'oops', frame: 3 });
+  });
+
+  test('stop conditions detect critical events and goal completions', () => {
+    const initial = createInitialState();
+    const failed = step(initial, () => 0);
+    const succeeded = step(initial, () => 0.9);
+    expect(STOP_CONDITIONS.goal(initial, succeeded)).toBe(true);
+    expect(STOP_CONDITIONS.goal(initial, failed)).toBe(false);
+    expect(STOP_CONDITIONS.critical(initial, failed)).toBe(false);
+  });
+});
+
+describe('drive series', () => {
+  test('records drives per cycle and marks break-downs and completed goals', () => {
+    const states = [createInitialState()];
+    const rolls = [0, 0, 0, 0, 0, 0.9];
+    rolls.forEach(roll => states.push(step(states[states.length - 1], () => roll).state));
+    const series = buildDriveSeries(states);
+    expect(series.cycles).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(series.pain).toEqual([0, 25, 50, 75, 0, 0, 0]);
+    expect(series.markers).toEqual([
+      { index: 4, cycle: 4, kind: 'break-down' },
+      { index: 6, cycle: 6, kind: 'completed' },
+    ]);
+    const csv = seriesToCsv(series).split('\n');
+    expect(csv[0]).toBe('cycle,curiosity,boredom,pain,conflict,event');
+    expect(csv[5]).toBe('4,65,0,0,0,break-down');
+    expect(seriesToCsv(series, ['pain'], ['completed']).split('\n')[5]).toBe('4,0,');
+  });
+});
+
+describe('memory map layout', () => {
+  test('spreads a crowded graph out so no two concepts overlap', () => {
+    const memory = { nodes: {}, links: [] };
+    for (let i = 0; i < 120; i++) {
+      memory.nodes[`concept-${i}`] = { x: 50, y: 50, understood: false };
+      if (i > 0) memory.links.push({ source: `concept-${Math.floor((i - 1) / 3)}`, target: `concept-${i}` });
+    }
+    const layout = createLayout();
+    expect(syncLayout(layout, memory)).toBe(true);
+    let ticks = 0;
+    while (tick(layout, memory.links) && ticks < 1000) ticks++;
+    const positions = Array.from(layout.nodes.values());
+    let closest = Infinity;
+    positions.forEach((a, i) => positions.slice(i + 1).forEach(b => {
+      closest = Math.min(closest, Math.hypot(a.x - b.x, a.y - b.y));
+    }));
+    expect(closest).toBeGreaterThan(18);
+    expect(syncLayout(layout, memory)).toBe(false);
+  });
+
+  test('shortened labels keep sibling sub-concepts distinguishable', () => {
+    expect(shortLabel('belief system')).toBe('belief system');
+    expect(shortLabel('belief system-A-B-A')).not.toBe(shortLabel('belief system-A-B-B'));
+  });
+});
+
+describe('simulation parameters', () => {
+  test('a shared hash reproduces the exact seed and parameters', () => {
+    const experiment = { seed: 1234, params: PRESETS.fragile.params };
+    const hash = experimentHash(experiment);
+    expect(hash.startsWith('#simulation?')).toBe(true);
+    expect(decodeExperiment(hash)).toEqual(experiment);
+    expect(decodeExperiment('#simulation')).toBeNull();
+  });
+
+  test('a hash shares an experiment only when it differs from the running one', () => {
+    const running = { seed: 42, params: DEFAULT_PARAMS };
+    expect(sharedExperiment('#simulation', running)).toBeNull();
+    expect(sharedExperiment(experimentHash(running), running)).toBeNull();
+    expect(sharedExperiment('#simulation?seed=7', running)).toEqual({ seed: 7, params: DEFAULT_PARAMS });
+    expect(sharedExperiment('#simulation?failureRate=0.6', running)).toEqual({ seed: 42, params: { ...DEFAULT_PARAMS, failureRate: 0.6 } });
+  });
+
+  test('out-of-range and garbage values fall back to safe ones', () => {
+    const { seed, params } = decodeExperiment('#simulation?seed=abc&failureRate=7&painThreshold=oops');
+    expect(seed).toBeNull();
+    expect(params.failureRate).toBe(1);
+    expect(params.painThreshold).toBe(80);
+  });
+
+  test('the engine uses the run parameters instead of hard-coded constants', () => {
+    const stoic = createInitialState(1, PRESETS.stoic.params);
+    let state = stoic;
+    for (let i = 0; i < 7; i++) state = step(state, () => 0).state;
+    expect(state.state.pain).toBe(70);
+    expect(state.goals.active[0].text).toMatch(/^Deepen understanding/);
+    state = step(state, () => 0).state;
+    expect(state.goals.active[0].text).toBe("Break down the concept: 'belief system'");
+
+    const curious = createInitialState(1, PRESETS.curious.params);
+    expect(curious.state.curiosity).toBe(100);
+  });
+});
+
+describe('batch experiments', () => {
+  test('runs are reproducible per seed and report every metric', () => {
+    const config = { startSeed: 1, seeds: 5, cycles: 60 };
+    const progress = jest.fn();
+    const results = runBatch(config, progress);
+    expect(results).toHaveLength(5);
+    expect(progress).toHaveBeenLastCalledWith(5, 5);
+    expect(runBatch(config)).toEqual(results);
+    results.forEach(result => {
+      expect(result.idleCycles + result.goalCycles).toBe(60);
+      expect(result.understood).toBeGreaterThanOrEqual(0);
+      expect(result.maxDepth).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  test('graph depth follows break-down chains from the roots', () => {
+    expect(graphDepth(createInitialState().memory)).toBe(2);
+    expect(graphDepth({ nodes: { a: {}, b: {} }, links: [{ source: 'a', target: 'b' }, { source: 'b', target: 'a' }] })).toBe(1);
+  });
+
+  test('summaries skip runs without a value and histograms bin integers', () => {
+    expect(summarise([4, null, 2, 6])).toMatchObject({ count: 3, missing: 1, mean: 4, median: 4, min: 2, max: 6 });
+    expect(histogram([1, 2, 2, 3])).toEqual({ labels: ['1', '2', '3'], counts: [1, 2, 1] });
+    expect(histogram([0, 25]).counts.reduce((a, b) => a + b)).toBe(2);
+  });
+});
+
+describe('goal types', () => {
+  test('the expand goal created by boredom adds neighbours and queues deepen goals', () => {
+    const idle = { ...createInitialState(), goals: { active: [], completed: [] } };
+    let state = idle;
+    for (let i = 0; i < 6; i++) state = step(state, () => 0.5).state;
+    expect(state.goals.active[0]).toMatchObject({ type: 'expand', concept: 'delusions' });
+
+    const { state: expanded, events } = step(state, () => 0);
+    const added = Object.keys(expanded.memory.nodes).filter(id => !state.memory.nodes[id]);
+    expect(added).toHaveLength(2);
+    added.forEach(id => {
+      expect(expanded.memory.links).toContainEqual(expect.objectContaining({ source: 'delusions', target: id }));
+      expect(expanded.goals.active).toContainEqual(expect.objectContaining({
+        text: `Deepen understanding of the concept: '${id}'`,
+        parent: state.goals.active[0].id,
+      }));
+    });
+    expect(texts(expanded.goals.completed)).toContain("Expand knowledge from 'delusions'");
+    expect(events[events.length - 1].type).toBe('success');
+  });
+
+  test('unknown goals are logged as warnings and do not block the queue', () => {
+    const state = createInitialState();
+    state.goals.active.unshift(goalFromText(state, 'Contemplate the void'));
+    const { state: next, events } = step(state, () => 0.9);
+    expect(events).toEqual([expect.objectContaining({ type: 'warn', message: 'Unknown goal type, skipping: Contemplate the void' })]);
+    expect(texts(next.goals.active)).toEqual(["Deepen understanding of the concept: 'belief system'"]);
+  });
+
+  test('new goal kinds can be registered with their own handler', () => {
+    registerGoalType('reflect', {
+      pattern: /^Reflect on '(.*)'$/,
+      create: concept => `Reflect on '${concept}'`,
+      handle: ({ state, emit }) => {
+        completeGoal(state, emit);
+        emit('Reflected.', 'success');
+      },
+    });
+    try {
+      const state = createInitialState();
+      state.goals.active = [goalFromText(state, "Reflect on 'knowledge'")];
+      const { state: next } = step(state, () => 0.5);
+      expect(next.focus).toBe('knowledge');
+      expect(next.goals.completed).toEqual([expect.objectContaining({ text: "Reflect on 'knowledge'", type: 'reflect', status: 'completed', attempts: 1 })]);
+    } finally {
+      delete GOAL_TYPES.reflect;
+    }
+  });
+});
+
+describe('memory decay and reinforcement', () => {
+  const params = { memoryDecay: 0.1, reinforcement: 0.3, forgetThreshold: 0.2, pruneThreshold: 0.15 };
+
+  test('unvisited concepts fade and are forgotten, weak links are pruned', () => {
+    const state = createInitialState();
+    state.memory.nodes.creativity.understood = true;
+    state.memory.nodes.creativity.strength = 0.25;
+    state.memory.links[2].strength = 0.2;
+    const events = [];
+    applyMemoryDynamics(state, 'belief system', params, (message, type = 'info') => events.push({ type, message }));
+
+    expect(state.memory.nodes.creativity).toMatchObject({ understood: false, strength: 0.15 });
+    expect(texts(state.goals.active)).toContain("Deepen understanding of the concept: 'creativity'");
+    expect(state.memory.links).toHaveLength(2);
+    expect(events.map(e => e.type)).toEqual(['warn', 'info']);
+  });
+
+  test('the focus and the link the mind moved along are reinforced', () => {
+    const state = createInitialState();
+    state.memory.nodes.knowledge.strength = 0.5;
+    state.memory.links[0].strength = 0.5;
+    state.focus = 'knowledge';
+    applyMemoryDynamics(state, 'belief system', params, () => {});
+    expect(state.memory.nodes.knowledge.strength).toBe(0.7);
+    expect(state.memory.links[0].strength).toBe(0.7);
+    expect(state.memory.nodes.delusions.strength).toBe(0.9);
+  });
+});
+
+describe('beliefs and conflict pain', () => {
+  test('claims with the same subject and predicate but opposite negation contradict', () => {
+    expect(parseClaims("Delusions aren't knowledge. The self can change!")).toEqual([
+      { subject: 'delusions', verb: 'is', verbText: 'are', negated: true, predicate: 'knowledge' },
+      { subject: 'self', verb: 'can', verbText: 'can', negated: false, predicate: 'change' },
+    ]);
+    const beliefs = { axioms: ['Delusions are not knowledge.'], learned: [] };
+    expect(findContradictions(beliefs, 'Delusions are knowledge.')).toEqual([
+      { statement: 'Delusions are not knowledge.', axiom: true, concept: null },
+    ]);
+    expect(findContradictions(beliefs, 'Delusions are comforting.')).toEqual([]);
+  });
+
+  test('axioms win over learned beliefs, and newer learned beliefs over older ones', () => {
+    const beliefs = {
+      axioms: ['Knowledge is justified belief.'],
+      learned: [
+        { concept: 'time', statement: 'Time is linear.', cycle: 1 },
+        { concept: 'knowledge', statement: 'Knowledge is not justified belief.', cycle: 2 },
+        { concept: 'time', statement: 'Time is not linear.', cycle: 3 },
+      ],
+    };
+    expect(resolveConflicts(beliefs, 'knowledge').retracted.map(b => b.cycle)).toEqual([2]);
+    expect(resolveConflicts(beliefs, 'time').retracted.map(b => b.cycle)).toEqual([1]);
+  });
+
+  test('a contradicting understanding raises conflict pain and is resolved by a resolve goal', () => {
+    const initial = createInitialState();
+    const { state, events } = step(initial, () => 0.99);
+    expect(state.memory.nodes['belief system'].understood).toBe(true);
+    expect(state.beliefs.learned).toEqual([
+      { concept: 'belief system', statement: 'Belief system is not revisable.', cycle: 1 },
+    ]);
+    expect(state.state.conflict).toBe(40);
+    expect(state.state.pain).toBe(0);
+    expect(texts(state.goals.active)).toEqual(["Resolve conflict over 'belief system'"]);
+    expect(events.some(e => e.type === 'warn' && e.message.startsWith('Contradiction:'))).toBe(true);
+
+    const resolved = step(state, () => 0.99).state;
+    expect(resolved.beliefs.learned).toEqual([]);
+    expect(resolved.state.conflict).toBe(0);
+    expect(resolved.memory.nodes['belief system'].description).toBeUndefined();
+    expect(texts(resolved.goals.completed)).toContain("Resolve conflict over 'belief system'");
+  });
+
+  test('past the conflict threshold, resolve goals jump ahead of everything else', () => {
+    const initial = createInitialState();
+    initial.state.conflict = 50;
+    initial.goals.active.push(goalFromText(initial, "Deepen understanding of the concept: 'knowledge'"));
+    const { state, events } = step(initial, () => 0.99);
+    expect(state.state.conflict).toBe(90);
+    expect(state.goals.active[0].text).toBe("Resolve conflict over 'belief system'");
+    expect(events.some(e => e.type === 'critical')).toBe(true);
+  });
+});
+
+describe('sensory input', () => {
+  const article = [
+    '# Predictive processing',
+    '',
+    'Predictive processing is a theory of perception.',
+    'Perception and knowledge are shaped by prediction error. See [the paper](https://example.org).',
+    'Prediction error drives learning.',
+  ].join('\n');
+
+  test('extracts frequent phrases and the sentences they share', () => {
+    const { concepts, relations } = extractConcepts(article);
+    expect(concepts.slice(0, 3)).toEqual([
+      { name: 'predictive processing', count: 2 },
+      { name: 'perception', count: 2 },
+      { name: 'prediction error', count: 2 },
+    ]);
+    expect(concepts.map(c => c.name)).not.toContain('example');
+    expect(relations).toContainEqual({ source: 'perception', target: 'prediction error', weight: 1 });
+  });
+
+  test('merges new concepts next to known ones and raises curiosity with novelty', () => {
+    const initial = createInitialState();
+    const { state, events, added } = ingestDocument(initial, article, 'notes.md');
+    expect(added).not.toContain('knowledge');
+    expect(added).toContain('prediction error');
+    added.forEach(concept => expect(state.memory.nodes[concept].understood).toBe(false));
+    expect(state.memory.links).toContainEqual({ source: 'knowledge', target: 'perception' });
+    added.forEach(concept => {
+      expect(state.memory.links.some(l => l.target === concept && initial.memory.nodes[l.source])).toBe(true);
+    });
+    expect(state.state.curiosity).toBe(Math.min(100, 65 + added.length * 5));
+    expect(events[0]).toMatchObject({ type: 'success' });
+
+    const again = ingestDocument(state, article, 'notes.md');
+    expect(again.added).toEqual([]);
+    expect(again.state.state.curiosity).toBe(state.state.curiosity);
+  });
+
+  test('enough curiosity sends an idle mind to explore a concept it does not understand', () => {
+    const initial = createInitialState();
+    initial.goals.active = [];
+    initial.state.curiosity = 90;
+    const { state, events } = step(initial, () => 0);
+    expect(texts(state.goals.active)).toEqual(["Deepen understanding of the concept: 'knowledge'"]);
+    expect(state.state.curiosity).toBe(60);
+    expect(state.state.boredom).toBe(0);
+    expect(events[0].message).toContain('Curiosity drives attention');
+  });
+});
+
+describe('global workspace', () => {
+  test('goals, impulses and exploration compete on salience computed from the drives', () => {
+    const state = createInitialState();
+    state.state.pain = 40;
+    state.painSource = 'belief system';
+    const { candidates, winner } = compete(state, DEFAULT_PARAMS);
+    expect(candidates.map(c => [c.id, c.salience])).toEqual([
+      ['goal:0', 106.5],
+      ['impulse:confusion', 50],
+      ['explore', 81.3],
+    ]);
+    expect(candidates[2].label).toBe("Explore 'knowledge'");
+    expect(winner.id).toBe('goal:0');
+  });
+
+  test('conflict pain can pull a resolve goal ahead of the queue, and the winner is broadcast', () => {
+    const state = createInitialState();
+    state.state.conflict = 60;
+    state.goals.active.push(
+      goalFromText(state, "Deepen understanding of the concept: 'knowledge'"),
+      goalFromText(state, "Resolve conflict over 'delusions'"),
+    );
+    const { state: next, events } = step(state, () => 0.5);
+    expect(next.workspace.winner).toBe('goal:2');
+    expect(next.workspace.candidates.find(c => c.id === 'goal:2')).toMatchObject({ kind: 'goal', salience: 110 });
+    expect(events[0].message).toBe("Attention shifts to: Resolve conflict over 'delusions'");
+    expect(next.focus).toBe('delusions');
+    expect(texts(next.goals.completed)).toEqual(["Resolve conflict over 'delusions'"]);
+  });
+
+  test('confusion over the concept that caused the pain can win over the goals', () => {
+    const state = createInitialState();
+    state.goals.active = [
+      goalFromText(state, "Resolve conflict over 'delusions'"),
+      { ...goalFromText(state, "Deepen understanding of the concept: 'knowledge'"), attempts: 3 },
+    ];
+    state.state.pain = 75;
+    state.painSource = 'knowledge';
+    const { candidates, winner } = compete(state, DEFAULT_PARAMS);
+    expect(winner).toMatchObject({ id: 'impulse:confusion', label: "Give up on 'knowledge' and break it down", salience: 121.9 });
+    expect(candidates.find(c => c.id === 'goal:0').salience).toBeLessThan(winner.salience);
+
+    const { state: next, events } = step(state, () => 0.5);
+    expect(events[0]).toMatchObject({ type: 'critical', message: "Confusion over 'knowledge' outweighs the goal. This is too difficult." });
+    expect(next.focus).toBe('knowledge');
+    expect(next.goals.blocked).toEqual([expect.objectContaining({ concept: 'knowledge', status: 'blocked' })]);
+    expect(texts(next.goals.active)).toEqual(["Break down the concept: 'knowledge'", "Resolve conflict over 'delusions'"]);
+    expect(next.state.pain).toBe(0);
+
+    state.painSource = 'belief system';
+    expect(compete(state, DEFAULT_PARAMS).candidates.some(c => c.kind === 'confusion')).toBe(false);
+  });
+
+  test('the reasoning core is only consulted when a reasoning goal wins', () => {
+    const state = createInitialState();
+    expect(pendingReasoning(state)).toMatchObject({ concept: 'belief system' });
+    state.goals.active = [];
+    state.state.curiosity = 100;
+    expect(pendingReasoning(state)).toBeNull();
+  });
+});
+
+describe('saved sessions', () => {
+  const runSession = (rolls, name) => {
+    let history = createHistory(createInitialState());
+    rolls.forEach(roll => {
+      history = pushEntry(history, step(currentEntry(history).state, () => roll));
+    });
+    return createSession({ seed: 42, params: DEFAULT_PARAMS, history, name }, 1000);
+  };
+
+  test('summarises a run and lays out its goal timeline', () => {
+    const session = runSession([0, 0, 0, 0, 0, 0.5], 'failing');
+    expect(summariseSession(session)).toMatchObject({ name: 'failing', seed: 42, cycles: 6, understood: 1 });
+    expect(goalTimeline(session.history.entries.map(e => e.state))).toEqual([
+      { goal: "Deepen understanding of the concept: 'belief system'", start: 0, end: null },
+      { goal: "Break down the concept: 'belief system'", start: 4, end: null },
+      { goal: "Deepen understanding of the concept: 'belief system-A'", start: 5, end: 6 },
+      { goal: "Deepen understanding of the concept: 'belief system-B'", start: 6, end: null },
+    ]);
+    expect(createSession({ seed: 7, params: PRESETS.stoic.params, history: null }).name).toBe('Stoic, seed 7');
+  });
+
+  test('compares which concepts two runs understood', () => {
+    const { concepts, series, timelines } = compareSessions(runSession([0.5]), runSession([0, 0, 0, 0, 0, 0.5]));
+    expect(concepts).toEqual({ both: [], onlyA: ['belief system'], onlyB: ['belief system-A'] });
+    expect(series[1].cycles).toHaveLength(7);
+    expect(timelines[0][0].end).toBe(1);
+  });
+
+  test('stores, lists, duplicates and deletes sessions', async () => {
+    const first = runSession([0.5], 'first');
+    const second = { ...runSession([0], 'second'), updatedAt: 2000 };
+    await saveSession(first);
+    await saveSession(second);
+    await saveSession(duplicateSession(first, 3000));
+    expect((await listSessions()).map(s => s.name)).toEqual(['first (copy)', 'second', 'first']);
+    expect((await listSessions())[2]).toEqual(summariseSession(first));
+    expect((await loadSession(first.id)).history).toEqual(first.history);
+    await deleteSession(first.id);
+    expect(await loadSession(first.id)).toBeNull();
+    expect(await listSessions()).toHaveLength(2);
+    window.localStorage.clear();
+  });
+
+  test('a saved run keeps its last states and stores each completed goal once', () => {
+    let history = createHistory(createInitialState());
+    for (let i = 0; i < SAVED_ENTRIES + 10; i++) history = pushEntry(history, advance(currentEntry(history).state));
+    const packed = JSON.parse(JSON.stringify(packHistory(moveTo(history, history.index - 1), SAVED_ENTRIES)));
+    expect(packed.entries).toHaveLength(SAVED_ENTRIES);
+    expect(packed).toMatchObject({ index: SAVED_ENTRIES - 1, offset: 10 });
+    expect(packed.entries.every(entry => typeof entry.state.goals.completed === 'number')).toBe(true);
+
+    const restored = unpackHistory(packed);
+    expect(restored.entries.map(entry => entry.state)).toEqual(history.entries.slice(10, -1).map(entry => entry.state));
+    expect(runLog(restored)).toEqual(runLog(history).filter(item => item.frame < history.index).map(item => ({ ...item, frame: item.frame - 10 })));
+  });
+
+  test('sessions saved as one list are moved to their own keys', async () => {
+    const legacy = runSession([0.5], 'legacy');
+    window.localStorage.setItem('hizawye.sessions', JSON.stringify({ [legacy.id]: legacy }));
+    expect(await listSessions()).toEqual([summariseSession(legacy)]);
+    expect(window.localStorage.getItem('hizawye.sessions')).toBeNull();
+    expect(await loadSession(legacy.id)).toEqual(legacy);
+    window.localStorage.clear();
+  });
+});
+
+describe('thought log', () => {
+  const runLog = () => {
+    let history = createHistory(createInitialState(), [], 1000);
+    [0, 0, 0, 0, 0.5].forEach((roll, i) => {
+      history = pushEntry(history, step(currentEntry(history).state, () => roll), 2000 + i);
+    });
+    return history;
+  };
+
+  test('events record the cycle, focus and goal they were logged in, stamped by the history', () => {
+    const history = runLog();
+    const items = logItems(history.entries);
+    const breakdown = items.find(item => item.message === 'New Strategy: Break down the concept.');
+    expect(breakdown).toMatchObject({
+      cycle: 4,
+      timestamp: 2003,
+      type: 'info',
+      focus: 'belief system',
+      goal: "Deepen understanding of the concept: 'belief system'",
+      frame: 4,
+    });
+  });
+
+  test('filters by severity, concept and text', () => {
+    const items = logItems(runLog().entries);
+    expect(filterLog(items, { types: ['critical'] }).map(item => item.cycle)).toEqual([4]);
+    expect(filterLog(items, { concept: 'belief system-A' }).every(item => item.cycle === 5)).toBe(true);
+    expect(filterLog(items, { query: 'MALFORMED' }).length).toBeGreaterThan(0);
+    expect(filterLog(items, { types: ['success'], query: 'malformed' })).toEqual([]);
+  });
+
+  test('exports as JSON lines and Markdown', () => {
+    const items = logItems(runLog().entries).slice(0, 3);
+    const lines = logToJsonl(items).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(3);
+    expect(Object.keys(lines[0])).toEqual(['cycle', 'timestamp', 'type', 'focus', 'goal', 'message']);
+    const markdown = logToMarkdown(items);
+    expect(markdown).toContain('## Cycle 1');
+    expect(markdown).toContain('- **INFO** Goal-directed focus: belief system');
+  });
+
+  test('reads sessions saved with HTML messages', () => {
+    const [item] = logItems([{ state: { cycle: 3 }, events: [{ type: 'info', message: 'Focus manually set to <strong>a &amp; b</strong>' }] }]);
+    expect(item).toMatchObject({ cycle: 3, message: 'Focus manually set to a & b', focus: null });
+  });
+  test('the panel renders a window of matching entries around the viewed cycle', async () => {
+    const items = Array.from({ length: 500 }, (_, i) => ({ cycle: i, frame: i, type: 'info', message: `event ${i}` }));
+    const { rerender } = render(<ThoughtLog items={items} current={499} concepts={[]} />);
+    expect(screen.getAllByText(/^event \d+$/)).toHaveLength(200);
+    expect(screen.getByText('500 of 500 entries.')).toBeInTheDocument();
+
+    await act(async () => { screen.getByRole('button', { name: 'Show earlier entries (300 hidden)' }).click(); });
+    expect(screen.getAllByText(/^event \d+$/)).toHaveLength(400);
+
+    rerender(<ThoughtLog items={items} current={100} concepts={[]} />);
+    expect(screen.getAllByText(/^event \d+$/)).toHaveLength(151);
+    expect(screen.getByText('349 later entries not shown.')).toBeInTheDocument();
+  });
+});
+
+describe('goal tree', () => {
+  test('a broken-down goal waits for its sub-goals and completes with them', () => {
+    let state = createInitialState();
+    for (let i = 0; i < 5; i++) state = step(state, () => 0).state;
+    const [deepen, breakDown] = state.goals.blocked;
+    expect(deepen).toMatchObject({ id: 1, type: 'deepen', status: 'blocked', attempts: 3 });
+    expect(breakDown).toMatchObject({ parent: 1, type: 'breakDown', status: 'blocked', attempts: 1 });
+    expect(state.goals.active.map(goal => goal.parent)).toEqual([breakDown.id, breakDown.id]);
+
+    state = step(state, () => 0.5).state;
+    expect(state.goals.blocked).toHaveLength(2);
+    const { state: done, events } = step(state, () => 0.5);
+    expect(done.goals.blocked).toEqual([]);
+    expect(done.memory.nodes['belief system'].understood).toBe(true);
+    expect(texts(done.goals.completed).slice(-2)).toEqual([
+      "Break down the concept: 'belief system'",
+      "Deepen understanding of the concept: 'belief system'",
+    ]);
+    expect(done.goals.completed[done.goals.completed.length - 1].history.map(h => h.status)).toEqual(['active', 'blocked', 'completed']);
+    expect(events.filter(e => e.type === 'success').map(e => e.message)).toContain(
+      "Every part of 'belief system' is understood, so 'belief system' is understood too.",
+    );
+  });
+
+  test('sessions saved with goal strings are upgraded with stable ids', () => {
+    const legacy = (active, completed, cycle) => ({ state: { ...createInitialState(), cycle, goals: { active, completed } }, events: [] });
+    const session = createSession({
+      seed: 42,
+      params: DEFAULT_PARAMS,
+      history: {
+        entries: [legacy(['a', 'b'], [], 0), legacy(['b'], ['a'], 1)],
+        index: 1,
+      },
+    });
+    const [first, second] = upgradeSession(session).history.entries.map(entry => entry.state.goals);
+    expect(second.completed[0].id).toBe(first.active[0].id);
+    expect(second.active[0].id).toBe(first.active[1].id);
+    expect(second.nextId).toBe(3);
+    expect(goalTimeline(upgradeSession(session).history.entries.map(entry => entry.state))).toEqual([
+      { goal: 'a', start: 0, end: 1 },
+      { goal: 'b', start: 1, end: null },
+    ]);
+  });
+});
+
+describe('multi-agent worlds', () => {
+  test('agents in shared mode work on one memory graph and tag their events', () => {
+    const world = createWorld({ count: 3, mode: 'shared' });
+    expect(world.agents.map(agent => agent.name)).toEqual(['Agent A', 'Agent B', 'Agent C']);
+    expect(world.agents[0].state.params.memoryDecay).toBeCloseTo(DEFAULT_PARAMS.memoryDecay / 3);
+
+    const { world: next, events } = advanceWorld(world);
+    expect(next.cycle).toBe(1);
+    expect(next.agents.every(agent => agent.state.memory === next.agents[2].state.memory)).toBe(true);
+    expect(new Set(events.map(event => event.agent))).toEqual(new Set(['A', 'B', 'C']));
+    expect(world.agents[0].state.cycle).toBe(0);
+  });
+
+  test('communicating an understood concept teaches it and eases the listener', () => {
+    const world = createWorld({ count: 2, mode: 'separate', collaboration: { relief: 30 } });
+    const [teacher, learner] = world.agents;
+    teacher.state.memory.nodes.knowledge.understood = true;
+    learner.state.state.pain = 50;
+    learner.state.goals.active = [goalFromText(learner.state, "Deepen understanding of the concept: 'knowledge'")];
+
+    const { world: next, events, taught } = communicate(world, 0, 1);
+    expect(taught).toEqual(['knowledge']);
+    expect(next.agents[1].state.memory.nodes.knowledge.understood).toBe(true);
+    expect(next.agents[1].state.state.pain).toBe(20);
+    expect(events.map(event => [event.agent, event.message])).toEqual([
+      ['A', "Told Agent B about 'knowledge'."],
+      ['B', "Learned 'knowledge' from Agent A."],
+      ['B', "Agent A understood 'knowledge'. Confusion over it eases."],
+    ]);
+    expect(world.agents[1].state.memory.nodes.knowledge.understood).toBe(false);
+    expect(communicate(next, 0, 1).taught).toEqual([]);
+  });
+
+  test('breaking down a concept another agent already broke down keeps its sub-concepts', () => {
+    const state = createInitialState();
+    const { nodes, links } = state.memory;
+    nodes['knowledge-A'] = { x: 1, y: 2, understood: true };
+    nodes['knowledge-B'] = { x: 3, y: 4, understood: false };
+    links.push({ source: 'knowledge', target: 'knowledge-A' }, { source: 'knowledge', target: 'knowledge-B' });
+    state.goals.active = [goalFromText(state, "Break down the concept: 'knowledge'")];
+
+    const { state: next } = step(state, () => 0.5);
+    expect(next.memory.nodes['knowledge-A']).toMatchObject({ x: 1, y: 2, understood: true });
+    expect(next.memory.nodes['knowledge-B']).toMatchObject({ x: 3, y: 4 });
+    expect(next.memory.links.filter(link => link.target.startsWith('knowledge-'))).toHaveLength(2);
+    expect(texts(next.goals.active)).toEqual(["Deepen understanding of the concept: 'knowledge-B'"]);
+
+    next.memory.nodes['knowledge-B'].understood = true;
+    next.goals.active = [goalFromText(next, "Break down the concept: 'knowledge'")];
+    const { state: done } = step(next, () => 0.5);
+    expect(done.memory.nodes.knowledge.understood).toBe(true);
+    expect(done.goals.active).toEqual([]);
+    expect(texts(done.goals.completed)).toContain("Break down the concept: 'knowledge'");
+  });
+
+  test('summaries count each agent\'s break-downs', () => {
+    const world = createWorld({ count: 2, mode: 'separate' });
+    world.agents[1].state.goals.completed.push(goalFromText(world.agents[1].state, "Break down the concept: 'knowledge'"));
+    expect(summariseWorld(world).map(row => [row.id, row.breakDowns])).toEqual([['A', 0], ['B', 1]]);
+  });
+});
+
+describe('site content', () => {
+  test('parses front matter and Markdown blocks', () => {
+    const { attributes, body } = parseFrontMatter('---\ntitle: The Mind: Storage\norder: 2\n---\nIntro line one\nline two.\n\n## Next {.warning}\n\n- **a**: one\n- b\n\n1. first\n2. second\n');
+    expect(attributes).toEqual({ title: 'The Mind: Storage', order: 2 });
+    expect(parseMarkdown(body)).toEqual([
+      { type: 'paragraph', text: 'Intro line one line two.' },
+      { type: 'heading', level: 2, text: 'Next', tone: 'warning' },
+      { type: 'list', ordered: false, items: ['**a**: one', 'b'] },
+      { type: 'list', ordered: true, items: ['first', 'second'] },
+    ]);
+  });
+
+  test('inline markup becomes tokens and unsafe links stay text', () => {
+    expect(parseInline('Run **hizawye_ai.py** with `tinyllama`, _now_ (see [docs](https://example.com)).')).toEqual([
+      { type: 'text', text: 'Run ' },
+      { type: 'strong', text: 'hizawye_ai.py' },
+      { type: 'text', text: ' with ' },
+      { type: 'code', text: 'tinyllama' },
+      { type: 'text', text: ', ' },
+      { type: 'em', text: 'now' },
+      { type: 'text', text: ' (see ' },
+      { type: 'link', text: 'docs', href: 'https://example.com' },
+      { type: 'text', text: ').' },
+    ]);
+    expect(parseInline('[click](javascript:alert(1)) <script>')).toEqual([
+      { type: 'text', text: '[click](javascript:alert(1)' },
+      { type: 'text', text: ') <script>' },
+    ]);
+    expect(parseInline('[home](#home)')).toEqual([{ type: 'link', text: 'home', href: '#home' }]);
+    expect(parseInline('_a_ snake_case_name [_b_](#b)')).toEqual([
+      { type: 'em', text: 'a' },
+      { type: 'text', text: ' snake_case_name ' },
+      { type: 'link', text: '_b_', href: '#b' },
+    ]);
+  });
+
+  test('a new content file is all it takes to add a section or a component', () => {
+    const content = buildContent([
+      { path: 'sections/senses.md', text: '---\ntitle: The Senses\norder: 3\n---\nLead.\n\n## Reading {.success}\nText.\n' },
+      { path: 'sections/home.md', text: '---\nnav: Introduction\norder: 1\n---\nWelcome.\n' },
+      { path: 'architecture/senses.md', text: '---\nname: The Senses\nicon: 👁️\n---\nDocuments.\n' },
+      { path: 'notes/draft.md', text: 'Ignored.' },
+    ]);
+    expect(content.sections.map(s => [s.id, s.nav])).toEqual([['home', 'Introduction'], ['senses', 'The Senses']]);
+    expect(content.sections[1]).toMatchObject({
+      title: 'The Senses',
+      lead: [{ type: 'paragraph', text: 'Lead.' }],
+      cards: [{ title: 'Reading', tone: 'success', blocks: [{ type: 'paragraph', text: 'Text.' }] }],
+    });
+    expect(content.architecture).toEqual([expect.objectContaining({ id: 'senses', name: 'The Senses', title: 'The Senses', icon: '👁️' })]);
+  });
+
+  test('the sidebar lists the sections of src/content and architecture details render safely', async () => {
+    const { sections, architecture } = await loadContent();
+    expect(sections.map(s => s.id)).toEqual(['home', 'architecture', 'simulation', 'experiments', 'compare', 'findings']);
+    expect(architecture.map(a => a.id)).toEqual(['mind', 'memory', 'thinker']);
+
+    window.location.hash = '#architecture';
+    render(<App />);
+    const nav = await screen.findByRole('navigation');
+    expect(within(nav).getAllByRole('link').map(link => link.textContent)).toEqual(sections.map(s => s.nav));
+    screen.getByText('The Memory').click();
+    expect(await screen.findByText('The Memory: Knowledge Graph')).toBeInTheDocument();
+    expect(screen.getByText('Nodes').tagName).toBe('STRONG');
+    window.location.hash = '';
+  });
+});
+
+describe('routing', () => {
+  const sections = [{ id: 'home' }, { id: 'architecture' }, { id: 'simulation' }];
+  const items = { architecture: ['mind', 'memory'] };
+
+  test('validates routes, items and queries', () => {
+    expect(resolveRoute('', sections, items)).toEqual({ section: sections[0], item: null, notFound: false });
+    expect(resolveRoute('#simulation?seed=7', sections, items)).toEqual({ section: sections[2], item: null, notFound: false });
+    expect(resolveRoute('#architecture/memory', sections, items)).toEqual({ section: sections[1], item: 'memory', notFound: false });
+    ['#foo', '#architecture/senses', '#simulation/memory', '#architecture/memory/extra', '#%E0'].forEach(hash => {
+      expect(resolveRoute(hash, sections, items)).toEqual({ section: null, item: null, notFound: true });
+    });
+    expect(parseHash('#a%20b/c?x=1')).toEqual({ segments: ['a b', 'c'], query: 'x=1' });
+    expect(routeHash('architecture', 'memory')).toBe('#architecture/memory');
+    expect(routeHash('home')).toBe('#home');
+  });
+
+  test('unknown routes show a not-found page and deep links open architecture details', async () => {
+    window.location.hash = '#foo';
+    render(<App />);
+    expect(await screen.findByRole('heading', { name: 'Page Not Found' })).toBeInTheDocument();
+    expect(within(screen.getByRole('navigation')).queryByRole('link', { current: 'page' })).toBeNull();
+
+    await act(async () => { window.location.hash = '#architecture/memory'; });
+    const heading = await screen.findByRole('heading', { name: 'System Architecture' });
+    expect(heading).toHaveFocus();
+    expect(screen.getByRole('link', { current: 'page' })).toHaveTextContent('Architecture');
+    expect(screen.getByRole('button', { name: /The Memory/ })).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByRole('button', { name: /The Mind/ })).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.getByText('The Memory: Knowledge Graph')).toBeInTheDocument();
+
+    await act(async () => { screen.getByRole('button', { name: /The Memory/ }).click(); });
+    expect(window.location.hash).toBe('#architecture');
+    expect(await screen.findByText('Select a component above to view its details.')).toBeInTheDocument();
+    window.location.hash = '';
+  });
+});
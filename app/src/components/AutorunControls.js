@@ -0,0 +1,48 @@
+import React from 'react';
+
+const buttonClass = 'bg-zinc-200 text-zinc-800 text-sm font-medium py-2 px-3 rounded-lg hover:bg-zinc-300 transition disabled:opacity-50';
+
+// `autorun` is { playing, speed (cycles per second), until: null | 'critical' | 'goal' }.
+// Stepping is disabled while `thinking`, since the cycle under way continues the viewed state.
+const AutorunControls = ({ autorun, setAutorun, history, onStepBack, onStepForward, disabled, thinking = false }) => {
+    const atStart = history.index === 0;
+    const atEnd = history.index === history.entries.length - 1;
+    const start = (until) => setAutorun(a => ({ ...a, playing: true, until }));
+
+    return (
+        <div className="mt-4 space-y-3">
+            <div className="flex gap-2">
+                <button onClick={onStepBack} disabled={disabled || thinking || atStart || autorun.playing} className={buttonClass} title="Step back">◀</button>
+                <button
+                    onClick={() => (autorun.playing ? setAutorun(a => ({ ...a, playing: false })) : start(null))}
+                    disabled={disabled}
+                    className="flex-1 bg-indigo-600 text-white text-sm font-bold py-2 px-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                >
+                    {autorun.playing ? 'Pause' : 'Play'}
+                </button>
+                <button onClick={onStepForward} disabled={disabled || thinking || atEnd || autorun.playing} className={buttonClass} title="Step forward">▶</button>
+            </div>
+            <label className="block text-sm">
+                <span className="font-medium text-zinc-700">Speed: {autorun.speed} cycle{autorun.speed === 1 ? '' : 's'}/s</span>
+                <input
+                    type="range"
+                    min={1}
+                    max={20}
+                    value={autorun.speed}
+                    onChange={e => setAutorun(a => ({ ...a, speed: Number(e.target.value) }))}
+                    className="w-full accent-indigo-600"
+                />
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+                <button onClick={() => start('critical')} disabled={disabled || autorun.playing} className={buttonClass}>Run to next 🔥</button>
+                <button onClick={() => start('goal')} disabled={disabled || autorun.playing} className={buttonClass}>Run to next ✅ goal</button>
+            </div>
+            <p className="text-xs text-zinc-500">
+                Cycle {history.entries[history.index].state.cycle}
+                {!atEnd && ` (viewing history: ${history.entries.length - 1 - history.index} step(s) back)`}
+            </p>
+        </div>
+    );
+};
+
+export default AutorunControls;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { findContradictions, getBeliefs } from '../simulation/beliefs';
+
+const BeliefsPanel = ({ simState }) => {
+    const beliefs = getBeliefs(simState);
+    const learned = [...beliefs.learned].reverse();
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <h3 className="text-xl font-semibold mb-4">Beliefs</h3>
+            <h4 className="text-sm font-semibold text-zinc-700 mb-2">Axioms</h4>
+            {beliefs.axioms.length > 0 ? (
+                <ul className="text-sm text-zinc-700 space-y-1 list-disc list-inside">
+                    {beliefs.axioms.map(axiom => <li key={axiom}>{axiom}</li>)}
+                </ul>
+            ) : (
+                <p className="text-sm text-zinc-500">No axioms. Import a beliefs.json to add some.</p>
+            )}
+            <h4 className="text-sm font-semibold text-zinc-700 mt-4 mb-2">Learned</h4>
+            {learned.length > 0 ? (
+                <ul className="text-sm space-y-1 max-h-40 overflow-y-auto">
+                    {learned.map(belief => {
+                        const conflicting = findContradictions(beliefs, belief.statement).length > 0;
+                        return (
+                            <li key={`${belief.cycle}-${belief.concept}-${belief.statement}`} className={conflicting ? 'text-purple-700' : 'text-zinc-700'}>
+                                <span className="font-medium">{belief.concept}:</span> {belief.statement}
+                                {conflicting && <span className="ml-1 text-xs font-semibold uppercase">conflict</span>}
+                            </li>
+                        );
+                    })}
+                </ul>
+            ) : (
+                <p className="text-sm text-zinc-500">Nothing learned yet.</p>
+            )}
+        </div>
+    );
+};
+
+export default BeliefsPanel;
@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import DriveHistoryChart from './DriveHistoryChart';
+import { compareSessions, upgradeSession } from '../simulation/sessions';
+import { listSessions, loadSession } from '../utils/sessionStore';
+
+const inputClass = 'w-full border border-zinc-300 rounded-lg text-sm px-3 py-2';
+
+const GoalTimeline = ({ timeline, lastCycle }) => {
+    const span = Math.max(1, lastCycle);
+    if (timeline.length === 0) return <p className="text-sm text-zinc-500">No goals were pursued.</p>;
+    return (
+        <ul className="space-y-1 text-xs max-h-72 overflow-y-auto">
+            {timeline.map((item, i) => {
+                const end = item.end ?? lastCycle;
+                return (
+                    <li key={`${item.goal}-${i}`} title={`${item.goal}: cycle ${item.start}–${item.end ?? 'unfinished'}`}>
+                        <p className="truncate text-zinc-700">{item.goal}</p>
+                        <div className="relative h-2 bg-zinc-100 rounded">
+                            <div
+                                className={`absolute h-2 rounded ${item.end === null ? 'bg-amber-400' : 'bg-green-500'}`}
+                                style={{ left: `${(item.start / span) * 100}%`, width: `${Math.max(1, ((end - item.start) / span) * 100)}%` }}
+                            />
+                        </div>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+const ConceptList = ({ title, concepts, className }) => (
+    <div>
+        <h4 className={`text-sm font-semibold mb-2 ${className}`}>{title} ({concepts.length})</h4>
+        {concepts.length > 0 ? (
+            <ul className="text-sm text-zinc-700 space-y-1">
+                {concepts.map(concept => <li key={concept} className="break-all">{concept}</li>)}
+            </ul>
+        ) : (
+            <p className="text-sm text-zinc-500">None</p>
+        )}
+    </div>
+);
+
+// Lists the saved sessions by their summaries and reads the two chosen ones in full.
+const CompareRuns = () => {
+    const [sessions, setSessions] = useState(null);
+    const [runs, setRuns] = useState([null, null]);
+    const [selected, setSelected] = useState(['', '']);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        listSessions()
+            .then(list => {
+                if (cancelled) return;
+                setSessions(list);
+                setSelected([list[0]?.id || '', list[1]?.id || '']);
+            })
+            .catch(e => setError(e.message || 'Could not read saved sessions.'));
+        return () => { cancelled = true; };
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all(selected.map(id => (id ? loadSession(id) : null)))
+            .then(loaded => {
+                if (!cancelled) setRuns(loaded.map(session => session && upgradeSession(session)));
+            })
+            .catch(e => {
+                if (!cancelled) setError(e.message || 'Could not read saved sessions.');
+            });
+        return () => { cancelled = true; };
+    }, [selected]);
+
+    // Until the newly chosen runs are read, the previous ones are not compared.
+    const [runA, runB] = runs.map((run, i) => (run && run.id === selected[i] ? run : null));
+    const comparison = useMemo(() => (runA && runB ? compareSessions(runA, runB) : null), [runA, runB]);
+
+    const choose = (slot) => (e) => setSelected(s => s.map((id, i) => (i === slot ? e.target.value : id)));
+
+    return (
+        <>
+            {error && <p className="text-red-600 mb-4">{error}</p>}
+            {sessions && sessions.length < 2 && (
+                <p className="text-zinc-600">Save at least two runs in <a href="#simulation" className="text-indigo-600 hover:underline">the consciousness loop</a> to compare them.</p>
+            )}
+            {sessions && sessions.length >= 2 && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    {[0, 1].map(slot => (
+                        <label key={slot} className="block text-sm">
+                            <span className="font-medium text-zinc-700">Run {slot === 0 ? 'A' : 'B'}</span>
+                            <select value={selected[slot]} onChange={choose(slot)} className={`${inputClass} mt-1`}>
+                                {sessions.map(session => <option key={session.id} value={session.id}>{session.name}</option>)}
+                            </select>
+                        </label>
+                    ))}
+                    {comparison && [0, 1].map(slot => (
+                        <div key={`run-${slot}`} className="space-y-6 min-w-0">
+                            <DriveHistoryChart series={comparison.series[slot]} chart="drives" />
+                            <DriveHistoryChart series={comparison.series[slot]} chart="confusion" />
+                            <DriveHistoryChart series={comparison.series[slot]} chart="conflict" />
+                            <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                                <h3 className="text-xl font-semibold mb-4">Goal Timeline</h3>
+                                <GoalTimeline
+                                    timeline={comparison.timelines[slot]}
+                                    lastCycle={comparison.series[slot].cycles[comparison.series[slot].cycles.length - 1] || 0}
+                                />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {comparison && (
+                <div className="mt-6 bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                    <h3 className="text-xl font-semibold mb-4">Understood Concepts</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <ConceptList title={`Only ${runA.name}`} concepts={comparison.concepts.onlyA} className="text-indigo-700" />
+                        <ConceptList title="Both" concepts={comparison.concepts.both} className="text-zinc-700" />
+                        <ConceptList title={`Only ${runB.name}`} concepts={comparison.concepts.onlyB} className="text-amber-700" />
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default CompareRuns;
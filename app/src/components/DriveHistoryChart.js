@@ -0,0 +1,144 @@
+import React, { useEffect, useRef } from 'react';
+import { Chart } from 'chart.js/auto';
+import { seriesToCsv } from '../simulation/driveSeries';
+import { downloadFile, downloadUrl } from '../utils/download';
+
+const DRIVE_STYLES = {
+    curiosity: { label: 'Curiosity', color: 'rgba(79, 70, 229, 1)', threshold: 'rgba(79, 70, 229, 0.4)' },
+    boredom: { label: 'Boredom', color: 'rgba(245, 158, 11, 1)', threshold: 'rgba(245, 158, 11, 0.4)' },
+    pain: { label: 'Confusion pain', color: 'rgba(220, 38, 38, 1)', threshold: 'rgba(220, 38, 38, 0.4)' },
+    conflict: { label: 'Conflict pain', color: 'rgba(147, 51, 234, 1)', threshold: 'rgba(147, 51, 234, 0.4)' },
+};
+
+const MARKER_STYLES = {
+    completed: { label: 'Goal completed', pointStyle: 'circle', pointRadius: 5, color: 'rgba(34, 197, 94, 1)' },
+    'break-down': { label: 'Broken down', pointStyle: 'triangle', pointRadius: 7, color: 'rgba(220, 38, 38, 1)' },
+    contradiction: { label: 'Contradiction', pointStyle: 'crossRot', pointRadius: 7, color: 'rgba(147, 51, 234, 1)' },
+    resolved: { label: 'Conflict resolved', pointStyle: 'rectRot', pointRadius: 6, color: 'rgba(34, 197, 94, 1)' },
+};
+
+// The charts the dashboard shows: which drives each plots, which of them get a threshold
+// line, and which event markers appear on it.
+export const DRIVE_CHARTS = {
+    drives: { title: 'Drive History', file: 'drive-history', drives: ['curiosity', 'boredom'], thresholds: ['boredom'], markers: ['completed'] },
+    confusion: { title: 'Confusion Pain', file: 'confusion-pain', drives: ['pain'], thresholds: ['pain'], markers: ['break-down'] },
+    conflict: { title: 'Conflict Pain', file: 'conflict-pain', drives: ['conflict'], thresholds: ['conflict'], markers: ['contradiction', 'resolved'] },
+};
+
+// Paints a white background so exported PNGs do not come out transparent.
+const whiteBackground = {
+    id: 'whiteBackground',
+    beforeDraw: (chart) => {
+        const { ctx } = chart;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+    },
+};
+
+// Dataset order: the chart's drives, their threshold lines, then its marker sets.
+const buildDatasets = (series, chart) => {
+    const markerAt = (kind) => series.cycles.map((_, i) => (
+        series.markers.some(m => m.index === i && m.kind === kind) ? 100 : null
+    ));
+    return [
+        ...chart.drives.map(drive => ({
+            label: DRIVE_STYLES[drive].label,
+            data: series[drive],
+            borderColor: DRIVE_STYLES[drive].color,
+            backgroundColor: DRIVE_STYLES[drive].color,
+            pointRadius: 0,
+            borderWidth: 2,
+            tension: 0.2,
+        })),
+        ...chart.thresholds.map(drive => ({
+            label: `${DRIVE_STYLES[drive].label} threshold (${series.thresholds[drive]})`,
+            data: series.cycles.map(() => series.thresholds[drive]),
+            borderColor: DRIVE_STYLES[drive].threshold,
+            borderDash: [6, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+        })),
+        ...chart.markers.map(kind => ({
+            label: MARKER_STYLES[kind].label,
+            data: markerAt(kind),
+            showLine: false,
+            pointStyle: MARKER_STYLES[kind].pointStyle,
+            pointRadius: MARKER_STYLES[kind].pointRadius,
+            backgroundColor: MARKER_STYLES[kind].color,
+            borderColor: MARKER_STYLES[kind].color,
+        })),
+    ];
+};
+
+// `label` names whose drives these are (e.g. one agent of a multi-agent run); it prefixes
+// the title and the export file names.
+const DriveHistoryChart = ({ series, chart: chartId = 'drives', label = null }) => {
+    const config = DRIVE_CHARTS[chartId];
+    const title = label ? `${label}: ${config.title}` : config.title;
+    const file = label ? `${config.file}-${label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : config.file;
+    const chartRef = useRef(null);
+    const chartInstance = useRef(null);
+
+    useEffect(() => {
+        if (!chartRef.current) return undefined;
+        chartInstance.current = new Chart(chartRef.current.getContext('2d'), {
+            type: 'line',
+            data: { labels: [], datasets: [] },
+            options: {
+                animation: false,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { title: { display: true, text: 'Cycle' } },
+                    y: { beginAtZero: true, max: 100 },
+                },
+                plugins: { legend: { labels: { boxWidth: 12 } } },
+            },
+            plugins: [whiteBackground],
+        });
+        return () => {
+            chartInstance.current.destroy();
+            chartInstance.current = null;
+        };
+    }, []);
+
+    // Update the existing chart in place so history and legend state survive each cycle.
+    useEffect(() => {
+        const chart = chartInstance.current;
+        if (!chart) return;
+        const datasets = buildDatasets(series, config);
+        chart.data.labels = series.cycles;
+        if (chart.data.datasets.length === datasets.length) {
+            datasets.forEach((dataset, i) => {
+                chart.data.datasets[i].data = dataset.data;
+                chart.data.datasets[i].label = dataset.label;
+            });
+        } else {
+            chart.data.datasets = datasets;
+        }
+        chart.update('none');
+    }, [series, config]);
+
+    const exportCsv = () => downloadFile(`${file}.csv`, seriesToCsv(series, config.drives, config.markers), 'text/csv');
+    const exportPng = () => downloadUrl(`${file}.png`, chartInstance.current.toBase64Image('image/png', 1));
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-semibold">{title}</h3>
+                <div className="flex gap-2">
+                    <button onClick={exportCsv} className="bg-zinc-200 text-zinc-800 text-sm font-medium py-1 px-3 rounded-lg hover:bg-zinc-300 transition">CSV</button>
+                    <button onClick={exportPng} className="bg-zinc-200 text-zinc-800 text-sm font-medium py-1 px-3 rounded-lg hover:bg-zinc-300 transition">PNG</button>
+                </div>
+            </div>
+            <div className="relative h-64 w-full">
+                <canvas ref={chartRef}></canvas>
+            </div>
+        </div>
+    );
+};
+
+export default DriveHistoryChart;
@@ -0,0 +1,172 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import HistogramChart from './HistogramChart';
+import { histogram, METRICS, resultsToCsv, runExperiment, summarise } from '../simulation/experiments';
+import { PRESETS } from '../simulation/params';
+import { downloadFile, downloadJson } from '../utils/download';
+
+const inputClass = 'w-full border border-zinc-300 rounded-lg text-sm px-3 py-2';
+const METRIC_COLORS = ['rgba(220, 38, 38, 0.6)', 'rgba(34, 197, 94, 0.6)', 'rgba(79, 70, 229, 0.6)', 'rgba(245, 158, 11, 0.6)'];
+
+const formatStat = (value, key) => {
+    if (value === null) return '–';
+    return key === 'idleShare' ? `${(value * 100).toFixed(1)}%` : Number(value.toFixed(2)).toString();
+};
+
+// Starts the batch in a Web Worker; when workers are unavailable the runs happen on the
+// main thread, yielding between seeds so the page stays responsive.
+const startBatch = (config, onProgress, onDone, onError) => {
+    let cancelled = false;
+    let worker = null;
+
+    const runOnMainThread = async () => {
+        const results = [];
+        for (let i = 0; i < config.seeds && !cancelled; i++) {
+            results.push(runExperiment(config.startSeed + i, config.cycles, config.params));
+            onProgress(i + 1, config.seeds);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        if (!cancelled) onDone(results);
+    };
+
+    import('../simulation/experimentWorker')
+        .then(({ createExperimentWorker }) => {
+            if (cancelled) return;
+            worker = createExperimentWorker();
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'progress') onProgress(data.done, data.total);
+                if (data.type === 'done') {
+                    worker.terminate();
+                    onDone(data.results);
+                }
+            };
+            worker.onerror = (e) => {
+                worker.terminate();
+                onError(e.message || 'The experiment worker crashed.');
+            };
+            worker.postMessage({ config });
+        })
+        .catch(() => runOnMainThread());
+
+    return () => {
+        cancelled = true;
+        if (worker) worker.terminate();
+    };
+};
+
+const Experiments = () => {
+    const [form, setForm] = useState({ seeds: 50, startSeed: 1, cycles: 200, preset: 'default' });
+    const [progress, setProgress] = useState(null);
+    const [results, setResults] = useState(null);
+    const [error, setError] = useState(null);
+    const cancelRef = useRef(null);
+
+    useEffect(() => () => cancelRef.current && cancelRef.current(), []);
+
+    const update = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+    const running = progress !== null;
+
+    const run = () => {
+        const config = {
+            seeds: Math.max(1, Math.min(5000, Number.parseInt(form.seeds, 10) || 1)),
+            startSeed: Math.max(0, Number.parseInt(form.startSeed, 10) || 0),
+            cycles: Math.max(1, Math.min(10000, Number.parseInt(form.cycles, 10) || 1)),
+            params: PRESETS[form.preset].params,
+        };
+        setError(null);
+        setProgress({ done: 0, total: config.seeds });
+        cancelRef.current = startBatch(
+            config,
+            (done, total) => setProgress({ done, total }),
+            (batch) => {
+                cancelRef.current = null;
+                setProgress(null);
+                setResults({ config: { ...config, preset: form.preset }, runs: batch });
+            },
+            (message) => {
+                cancelRef.current = null;
+                setProgress(null);
+                setError(message);
+            }
+        );
+    };
+
+    const cancel = () => {
+        cancelRef.current();
+        cancelRef.current = null;
+        setProgress(null);
+    };
+
+    const stats = useMemo(() => results && METRICS.map(metric => {
+        const values = results.runs.map(r => r[metric.key]);
+        return { ...metric, summary: summarise(values), histogram: histogram(values) };
+    }), [results]);
+
+    return (
+        <>
+            <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                    <label className="block">
+                        <span className="font-medium text-zinc-700">Seeds (N)</span>
+                        <input type="number" min={1} max={5000} value={form.seeds} onChange={update('seeds')} disabled={running} className={`${inputClass} mt-1`} />
+                    </label>
+                    <label className="block">
+                        <span className="font-medium text-zinc-700">First seed</span>
+                        <input type="number" min={0} value={form.startSeed} onChange={update('startSeed')} disabled={running} className={`${inputClass} mt-1`} />
+                    </label>
+                    <label className="block">
+                        <span className="font-medium text-zinc-700">Cycles per run (M)</span>
+                        <input type="number" min={1} max={10000} value={form.cycles} onChange={update('cycles')} disabled={running} className={`${inputClass} mt-1`} />
+                    </label>
+                    <label className="block">
+                        <span className="font-medium text-zinc-700">Preset</span>
+                        <select value={form.preset} onChange={update('preset')} disabled={running} className={`${inputClass} mt-1`}>
+                            {Object.entries(PRESETS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                        </select>
+                    </label>
+                </div>
+                <div className="mt-4 flex items-center gap-4">
+                    <button onClick={running ? cancel : run} className={`font-bold py-2 px-6 rounded-lg transition ${running ? 'bg-zinc-200 text-zinc-800 hover:bg-zinc-300' : 'bg-indigo-600 text-white hover:bg-indigo-700'}`}>
+                        {running ? 'Cancel' : 'Run experiments'}
+                    </button>
+                    {running && (
+                        <div className="flex-1">
+                            <div className="h-2 bg-zinc-200 rounded">
+                                <div className="h-2 bg-indigo-600 rounded" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+                            </div>
+                            <p className="text-xs text-zinc-500 mt-1">{progress.done} / {progress.total} runs</p>
+                        </div>
+                    )}
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                </div>
+            </div>
+
+            {stats && (
+                <div className="mt-8 space-y-6">
+                    <div className="flex items-center justify-between">
+                        <p className="text-zinc-600">
+                            {results.runs.length} runs × {results.config.cycles} cycles, {PRESETS[results.config.preset].label} preset.
+                            {' '}{stats[0].summary.missing > 0 && `${stats[0].summary.missing} run(s) never broke a concept down.`}
+                        </p>
+                        <div className="flex gap-2">
+                            <button onClick={() => downloadFile('experiments.csv', resultsToCsv(results.runs), 'text/csv')} className="bg-zinc-200 text-zinc-800 text-sm font-medium py-1 px-3 rounded-lg hover:bg-zinc-300 transition">CSV</button>
+                            <button onClick={() => downloadJson('experiments.json', results)} className="bg-zinc-200 text-zinc-800 text-sm font-medium py-1 px-3 rounded-lg hover:bg-zinc-300 transition">JSON</button>
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        {stats.map(({ key, label, summary, histogram: bins }, i) => (
+                            <div key={key} className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                                <h3 className="text-xl font-semibold mb-1">{label}</h3>
+                                <p className="text-sm text-zinc-500 mb-4">
+                                    mean {formatStat(summary.mean, key)} · median {formatStat(summary.median, key)} · range {formatStat(summary.min, key)}–{formatStat(summary.max, key)}
+                                </p>
+                                <HistogramChart label={label} histogram={bins} color={METRIC_COLORS[i]} />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default Experiments;
@@ -0,0 +1,57 @@
+import React, { useRef, useState } from 'react';
+
+const FeedDocumentPanel = ({ onFeed, disabled }) => {
+    const inputRef = useRef(null);
+    const [text, setText] = useState('');
+    const [error, setError] = useState(null);
+
+    const feedText = () => {
+        if (!text.trim()) return;
+        setError(null);
+        onFeed(text, 'pasted text');
+        setText('');
+    };
+
+    // `file` is undefined when the picker was cancelled.
+    const feedFile = async (file) => {
+        if (!file) return;
+        let content;
+        try {
+            content = await file.text();
+        } catch (e) {
+            setError(`${file.name} could not be read (${e.message || e}).`);
+            return;
+        }
+        setError(null);
+        onFeed(content, file.name);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <h3 className="text-xl font-semibold mb-4">Sensory Input</h3>
+            <textarea
+                value={text}
+                onChange={e => setText(e.target.value)}
+                disabled={disabled}
+                rows={4}
+                placeholder="Paste an article or notes…"
+                className="w-full border border-zinc-300 rounded-lg text-sm px-3 py-2"
+            />
+            <div className="mt-2 flex gap-2">
+                <button onClick={feedText} disabled={disabled || !text.trim()} className="flex-1 bg-indigo-600 text-white text-sm font-bold py-2 px-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">Feed document</button>
+                <button onClick={() => inputRef.current.click()} disabled={disabled} className="flex-1 bg-zinc-200 text-zinc-800 text-sm font-medium py-2 px-3 rounded-lg hover:bg-zinc-300 transition disabled:opacity-50">Open .txt / .md</button>
+                <input
+                    ref={inputRef}
+                    type="file"
+                    accept=".txt,.md,.markdown,text/plain,text/markdown"
+                    className="hidden"
+                    onChange={e => { feedFile(e.target.files && e.target.files[0]); e.target.value = ''; }}
+                />
+            </div>
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+            <p className="mt-2 text-xs text-zinc-500">Concepts are extracted locally; nothing is sent anywhere. New concepts raise curiosity.</p>
+        </div>
+    );
+};
+
+export default FeedDocumentPanel;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { allGoals } from '../simulation/goals';
+
+const STATUS_STYLES = {
+    active: 'bg-indigo-100 text-indigo-700',
+    blocked: 'bg-amber-100 text-amber-700',
+    completed: 'bg-green-100 text-green-700',
+};
+
+const describeHistory = (goal) => goal.history.map(({ cycle, status }) => `${status} at cycle ${cycle}`).join(', ');
+
+const GoalNode = ({ goal, childrenOf, current, collapsed, onToggle }) => {
+    const children = childrenOf(goal.id);
+    const isCollapsed = collapsed.has(goal.id);
+    return (
+        <li>
+            <div className={`flex items-start gap-2 rounded-md px-2 py-1 ${goal.id === current ? 'bg-indigo-50 ring-1 ring-indigo-300' : ''}`}>
+                {children.length > 0 ? (
+                    <button
+                        onClick={() => onToggle(goal.id)}
+                        aria-expanded={!isCollapsed}
+                        aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} ${goal.text}`}
+                        className="w-4 shrink-0 text-zinc-500 hover:text-zinc-800"
+                    >
+                        {isCollapsed ? '▸' : '▾'}
+                    </button>
+                ) : (
+                    <span className="w-4 shrink-0" />
+                )}
+                <div className="min-w-0">
+                    <p className="text-zinc-800 break-words">
+                        <span className={`mr-2 rounded px-1.5 py-0.5 text-xs font-semibold uppercase ${STATUS_STYLES[goal.status]}`}>{goal.status}</span>
+                        {goal.text}
+                    </p>
+                    <p className="text-xs text-zinc-500">
+                        {goal.attempts} attempt{goal.attempts === 1 ? '' : 's'} · {describeHistory(goal)}
+                    </p>
+                </div>
+            </div>
+            {children.length > 0 && !isCollapsed && (
+                <ul className="ml-5 border-l border-zinc-200 pl-1">
+                    {children.map(child => (
+                        <GoalNode key={child.id} goal={child} childrenOf={childrenOf} current={current} collapsed={collapsed} onToggle={onToggle} />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+// Shows every goal of the run as a tree of the goals that gave rise to each other.
+const GoalTreePanel = ({ goals }) => {
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    const [showCompleted, setShowCompleted] = useState(true);
+
+    const all = allGoals(goals).sort((a, b) => a.id - b.id);
+    const ids = new Set(all.map(goal => goal.id));
+    const childrenOf = (id) => all.filter(goal => goal.parent === id);
+    // A finished tree stays listed only while completed goals are shown.
+    const isDone = (goal) => goal.status === 'completed' && childrenOf(goal.id).every(isDone);
+    const roots = all.filter(goal => (goal.parent === null || !ids.has(goal.parent)) && (showCompleted || !isDone(goal)));
+
+    const toggle = (id) => setCollapsed(current => {
+        const next = new Set(current);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+    });
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <div className="flex items-center justify-between mb-1">
+                <h3 className="text-xl font-semibold">Goal Tree</h3>
+                <label className="flex items-center gap-1 text-sm text-zinc-700">
+                    <input type="checkbox" checked={showCompleted} onChange={e => setShowCompleted(e.target.checked)} />
+                    Show completed
+                </label>
+            </div>
+            <p className="text-sm text-zinc-500 mb-4">
+                {goals.active.length} active · {goals.blocked.length} blocked · {goals.completed.length} completed. A blocked goal completes once all of its sub-goals are done.
+            </p>
+            {roots.length > 0 ? (
+                <ul className="space-y-1 text-sm max-h-96 overflow-y-auto">
+                    {roots.map(goal => (
+                        <GoalNode key={goal.id} goal={goal} childrenOf={childrenOf} current={goals.active[0]?.id} collapsed={collapsed} onToggle={toggle} />
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-zinc-500">No goals to show.</p>
+            )}
+        </div>
+    );
+};
+
+export default GoalTreePanel;
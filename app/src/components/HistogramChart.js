@@ -0,0 +1,41 @@
+import React, { useEffect, useRef } from 'react';
+import { Chart } from 'chart.js/auto';
+
+const HistogramChart = ({ label, histogram, color = 'rgba(79, 70, 229, 0.6)' }) => {
+    const chartRef = useRef(null);
+    const chartInstance = useRef(null);
+
+    useEffect(() => {
+        if (!chartRef.current) return undefined;
+        chartInstance.current = new Chart(chartRef.current.getContext('2d'), {
+            type: 'bar',
+            data: { labels: [], datasets: [{ label, data: [], backgroundColor: color, barPercentage: 1.0, categoryPercentage: 0.95 }] },
+            options: {
+                animation: false,
+                maintainAspectRatio: false,
+                scales: { y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Runs' } } },
+                plugins: { legend: { display: false } },
+            },
+        });
+        return () => {
+            chartInstance.current.destroy();
+            chartInstance.current = null;
+        };
+    }, [label, color]);
+
+    useEffect(() => {
+        const chart = chartInstance.current;
+        if (!chart) return;
+        chart.data.labels = histogram.labels;
+        chart.data.datasets[0].data = histogram.counts;
+        chart.update('none');
+    }, [histogram, label, color]);
+
+    return (
+        <div className="relative h-48 w-full">
+            <canvas ref={chartRef}></canvas>
+        </div>
+    );
+};
+
+export default HistogramChart;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { parseInline } from '../utils/markdown';
+
+const HEADING_STYLES = {
+    3: 'text-xl font-semibold mt-6 mb-2',
+    4: 'text-lg font-semibold mt-4 mb-2',
+};
+
+export const Inline = ({ text }) => parseInline(text).map((token, i) => {
+    switch (token.type) {
+        case 'strong':
+            return <strong key={i}>{token.text}</strong>;
+        case 'em':
+            return <em key={i}>{token.text}</em>;
+        case 'code':
+            return <code key={i} className="font-mono text-sm bg-zinc-100 rounded px-1">{token.text}</code>;
+        case 'link':
+            return <a key={i} href={token.href} className="text-indigo-600 hover:underline">{token.text}</a>;
+        default:
+            return <React.Fragment key={i}>{token.text}</React.Fragment>;
+    }
+});
+
+// Renders blocks from parseMarkdown() as React elements, so content can never inject markup.
+const Markdown = ({ blocks, className = 'text-zinc-700 leading-relaxed' }) => (
+    <div className={`space-y-4 ${className}`}>
+        {blocks.map((block, i) => {
+            if (block.type === 'heading') {
+                // Pages own the h2; headings inside content start at h3.
+                const level = Math.min(Math.max(block.level, 3), 6);
+                const Heading = `h${level}`;
+                return <Heading key={i} className={HEADING_STYLES[level] || 'font-semibold'}><Inline text={block.text} /></Heading>;
+            }
+            if (block.type === 'list') {
+                const List = block.ordered ? 'ol' : 'ul';
+                return (
+                    <List key={i} className={`${block.ordered ? 'list-decimal' : 'list-disc'} list-inside space-y-3`}>
+                        {block.items.map((item, j) => <li key={j}><Inline text={item} /></li>)}
+                    </List>
+                );
+            }
+            return <p key={i}><Inline text={block.text} /></p>;
+        })}
+    </div>
+);
+
+export default Markdown;
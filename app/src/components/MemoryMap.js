@@ -0,0 +1,306 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { createLayout, nodeAt, shortLabel, syncLayout, tick } from '../utils/forceLayout';
+import { strengthOf } from '../simulation/memoryDynamics';
+
+const NODE_RADIUS = 9;
+const LABEL_ZOOM = 0.7;
+const COLORS = {
+    understood: { fill: '#dcfce7', stroke: '#22c55e' },
+    unknown: { fill: '#fee2e2', stroke: '#ef4444' },
+    focus: '#4f46e5',
+    link: '#a1a1aa',
+    label: '#3f3f46',
+};
+
+const drawArrow = (ctx, from, to) => {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist < NODE_RADIUS * 2) return;
+    const ux = dx / dist;
+    const uy = dy / dist;
+    const startX = from.x + ux * NODE_RADIUS;
+    const startY = from.y + uy * NODE_RADIUS;
+    const endX = to.x - ux * (NODE_RADIUS + 2);
+    const endY = to.y - uy * (NODE_RADIUS + 2);
+    ctx.beginPath();
+    ctx.moveTo(startX, startY);
+    ctx.lineTo(endX, endY);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(endX, endY);
+    ctx.lineTo(endX - ux * 7 - uy * 4, endY - uy * 7 + ux * 4);
+    ctx.lineTo(endX - ux * 7 + uy * 4, endY - uy * 7 - ux * 4);
+    ctx.closePath();
+    ctx.fill();
+};
+
+const NO_MARKERS = [];
+
+// `markers` ({ concept, color, label }) ring extra concepts, e.g. where each agent of a
+// multi-agent run is focused. `focusDisabled` keeps "Set as focus" shown but unusable.
+const MemoryMap = ({ memory, focus, onSetFocus, focusDisabled = false, markers = NO_MARKERS }) => {
+    const containerRef = useRef(null);
+    const canvasRef = useRef(null);
+    const layoutRef = useRef(createLayout());
+    const viewRef = useRef({ x: 0, y: 0, k: 1 });
+    const dragRef = useRef(null);
+    const frameRef = useRef(null);
+    const [dims, setDims] = useState({ width: 0, height: 0 });
+    const [hovered, setHovered] = useState(null);
+    const [selected, setSelected] = useState(null);
+
+    useEffect(() => {
+        const resizeObserver = new ResizeObserver(entries => {
+            if (entries[0]) {
+                const { width, height } = entries[0].contentRect;
+                setDims({ width, height });
+            }
+        });
+        if (containerRef.current) {
+            resizeObserver.observe(containerRef.current);
+        }
+        return () => resizeObserver.disconnect();
+    }, []);
+
+    const draw = useCallback(() => {
+        const canvas = canvasRef.current;
+        const ctx = canvas && canvas.getContext && canvas.getContext('2d');
+        if (!ctx) return;
+        const ratio = window.devicePixelRatio || 1;
+        const { x, y, k } = viewRef.current;
+        const layout = layoutRef.current;
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, dims.width, dims.height);
+        ctx.translate(dims.width / 2 + x, dims.height / 2 + y);
+        ctx.scale(k, k);
+
+        // Memory strength shows as link thickness and node/link opacity.
+        ctx.strokeStyle = COLORS.link;
+        ctx.fillStyle = COLORS.link;
+        memory.links.forEach(link => {
+            const a = layout.nodes.get(link.source);
+            const b = layout.nodes.get(link.target);
+            if (!a || !b) return;
+            const strength = strengthOf(link);
+            ctx.globalAlpha = 0.25 + 0.75 * strength;
+            ctx.lineWidth = (0.5 + 2.5 * strength) / k;
+            drawArrow(ctx, a, b);
+        });
+        ctx.globalAlpha = 1;
+
+        const showAllLabels = k >= LABEL_ZOOM || layout.nodes.size <= 40;
+        ctx.font = `${11 / Math.max(k, 0.5)}px Inter, sans-serif`;
+        ctx.textAlign = 'center';
+        layout.nodes.forEach((pos, id) => {
+            const node = memory.nodes[id];
+            if (!node) return;
+            const palette = node.understood ? COLORS.understood : COLORS.unknown;
+            const isFocus = id === focus;
+            ctx.globalAlpha = 0.3 + 0.7 * strengthOf(node);
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, isFocus ? NODE_RADIUS + 3 : NODE_RADIUS, 0, 2 * Math.PI);
+            ctx.fillStyle = palette.fill;
+            ctx.fill();
+            ctx.lineWidth = (isFocus || id === selected ? 3 : 2) / k;
+            ctx.strokeStyle = isFocus || id === selected ? COLORS.focus : palette.stroke;
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+            const marked = markers.filter(marker => marker.concept === id);
+            marked.forEach((marker, i) => {
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, NODE_RADIUS + 5 + 4 * i, 0, 2 * Math.PI);
+                ctx.lineWidth = 3 / k;
+                ctx.strokeStyle = marker.color;
+                ctx.stroke();
+            });
+            if (showAllLabels || isFocus || id === selected || marked.length > 0) {
+                ctx.fillStyle = COLORS.label;
+                ctx.fillText(shortLabel(id), pos.x, pos.y + NODE_RADIUS + 4 * marked.length + 13 / Math.max(k, 0.5));
+            }
+        });
+    }, [memory, focus, markers, selected, dims]);
+
+    // Runs the layout while it is still moving (or a node is being dragged), then stops.
+    const animate = useCallback(() => {
+        cancelAnimationFrame(frameRef.current);
+        const loop = () => {
+            const moving = tick(layoutRef.current, memory.links);
+            draw();
+            if (moving || dragRef.current) {
+                frameRef.current = requestAnimationFrame(loop);
+            }
+        };
+        frameRef.current = requestAnimationFrame(loop);
+    }, [memory, draw]);
+
+    useEffect(() => {
+        if (syncLayout(layoutRef.current, memory)) {
+            animate();
+        } else {
+            draw();
+        }
+    }, [memory, animate, draw]);
+
+    useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+    useEffect(() => {
+        if (selected && !memory.nodes[selected]) setSelected(null);
+    }, [memory, selected]);
+
+    const toWorld = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const { x, y, k } = viewRef.current;
+        return {
+            x: (e.clientX - rect.left - dims.width / 2 - x) / k,
+            y: (e.clientY - rect.top - dims.height / 2 - y) / k,
+        };
+    };
+
+    const handlePointerDown = (e) => {
+        const point = toWorld(e);
+        const id = nodeAt(layoutRef.current, point.x, point.y, NODE_RADIUS + 4);
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        dragRef.current = { id, startX: e.clientX, startY: e.clientY, moved: false, view: { ...viewRef.current } };
+        if (id) {
+            layoutRef.current.nodes.get(id).fixed = true;
+            layoutRef.current.alpha = Math.max(layoutRef.current.alpha, 0.3);
+            animate();
+        }
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) {
+            const point = toWorld(e);
+            const id = nodeAt(layoutRef.current, point.x, point.y, NODE_RADIUS + 4);
+            setHovered(id ? { id, left: e.clientX - canvasRef.current.getBoundingClientRect().left, top: e.clientY - canvasRef.current.getBoundingClientRect().top } : null);
+            return;
+        }
+        if (Math.abs(e.clientX - drag.startX) + Math.abs(e.clientY - drag.startY) > 3) {
+            drag.moved = true;
+        }
+        if (drag.id) {
+            const point = toWorld(e);
+            const node = layoutRef.current.nodes.get(drag.id);
+            node.x = point.x;
+            node.y = point.y;
+            layoutRef.current.alpha = Math.max(layoutRef.current.alpha, 0.1);
+        } else {
+            viewRef.current = {
+                ...drag.view,
+                x: drag.view.x + e.clientX - drag.startX,
+                y: drag.view.y + e.clientY - drag.startY,
+            };
+            draw();
+        }
+    };
+
+    const handlePointerUp = () => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (!drag) return;
+        if (drag.id) {
+            layoutRef.current.nodes.get(drag.id).fixed = false;
+        }
+        if (!drag.moved) {
+            setSelected(drag.id);
+        }
+    };
+
+    const handleWheel = (e) => {
+        e.preventDefault();
+        const rect = canvasRef.current.getBoundingClientRect();
+        const view = viewRef.current;
+        const k = Math.min(4, Math.max(0.2, view.k * Math.exp(-e.deltaY * 0.001)));
+        const cx = e.clientX - rect.left - dims.width / 2;
+        const cy = e.clientY - rect.top - dims.height / 2;
+        viewRef.current = {
+            k,
+            x: cx - ((cx - view.x) * k) / view.k,
+            y: cy - ((cy - view.y) * k) / view.k,
+        };
+        draw();
+    };
+
+    // React registers wheel listeners as passive, which would ignore preventDefault.
+    const wheelRef = useRef(handleWheel);
+    wheelRef.current = handleWheel;
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const listener = (e) => wheelRef.current(e);
+        canvas.addEventListener('wheel', listener, { passive: false });
+        return () => canvas.removeEventListener('wheel', listener);
+    }, []);
+
+    const resetView = () => {
+        viewRef.current = { x: 0, y: 0, k: 1 };
+        draw();
+    };
+
+    const ratio = typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1;
+    const selectedNode = selected && memory.nodes[selected];
+
+    return (
+        <div>
+            <div ref={containerRef} className="relative h-80 w-full bg-zinc-50 rounded-md overflow-hidden">
+                <canvas
+                    ref={canvasRef}
+                    width={dims.width * ratio}
+                    height={dims.height * ratio}
+                    style={{ width: dims.width, height: dims.height, cursor: hovered ? 'pointer' : 'grab' }}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerLeave={() => setHovered(null)}
+                    aria-label={`Memory graph with ${Object.keys(memory.nodes).length} concepts`}
+                    role="img"
+                />
+                {hovered && (
+                    <div className="absolute z-10 pointer-events-none bg-zinc-900 text-white text-xs px-2 py-1 rounded shadow" style={{ left: hovered.left + 12, top: hovered.top + 12 }}>
+                        {hovered.id}
+                    </div>
+                )}
+                <button onClick={resetView} className="absolute top-2 right-2 bg-white/90 border border-zinc-200 text-xs font-medium py-1 px-2 rounded hover:bg-zinc-100">Reset view</button>
+            </div>
+            {markers.length > 0 && (
+                <ul className="mt-2 flex flex-wrap gap-3 text-xs text-zinc-600">
+                    {markers.map(marker => (
+                        <li key={marker.label} className="flex items-center gap-1">
+                            <span className="inline-block h-3 w-3 rounded-full border-2" style={{ borderColor: marker.color }} />
+                            {marker.label}: {marker.concept || '-'}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="mt-3 text-sm min-h-[3rem]">
+                {selectedNode ? (
+                    <div className="flex items-start justify-between gap-4">
+                        <div>
+                            <p className="font-semibold text-zinc-800 break-all">{selected}</p>
+                            <p className={selectedNode.understood ? 'text-green-700' : 'text-red-600'}>
+                                {selectedNode.understood ? 'Understood' : 'Not yet understood'}
+                                <span className="text-zinc-500"> · strength {Math.round(strengthOf(selectedNode) * 100)}%</span>
+                            </p>
+                            {selectedNode.description && <p className="text-zinc-600 mt-1">{selectedNode.description}</p>}
+                        </div>
+                        {onSetFocus && (
+                            <button
+                                onClick={() => onSetFocus(selected)}
+                                disabled={focusDisabled || selected === focus}
+                                className="shrink-0 bg-indigo-600 text-white text-xs font-bold py-2 px-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                            >
+                                Set as focus
+                            </button>
+                        )}
+                    </div>
+                ) : (
+                    <p className="text-zinc-500">Drag to pan, scroll to zoom, click a concept for details.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MemoryMap;
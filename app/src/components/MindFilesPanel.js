@@ -0,0 +1,86 @@
+import React, { useRef, useState } from 'react';
+import { exportMindFiles, importMindFiles, MIND_FILE_NAMES } from '../simulation/mindFiles';
+import { downloadJson } from '../utils/download';
+
+// Resolves to { files, errors }: the { name, text } of every file that could be read and
+// a message for each one that could not.
+const readFiles = async (fileList) => {
+    const results = await Promise.all(Array.from(fileList).map(file => file.text().then(
+        text => ({ file: { name: file.name, text } }),
+        e => ({ error: `${file.name}: could not be read (${e.message || e}).` }),
+    )));
+    return {
+        files: results.filter(r => r.file).map(r => r.file),
+        errors: results.filter(r => r.error).map(r => r.error),
+    };
+};
+
+const MindFilesPanel = ({ simData, onImport, disabled = false }) => {
+    const inputRef = useRef(null);
+    const [isDragging, setIsDragging] = useState(false);
+    const [report, setReport] = useState(null);
+
+    const handleFiles = async (fileList) => {
+        if (disabled || !fileList || fileList.length === 0) return;
+        const { files, errors: readErrors } = await readFiles(fileList);
+        const { state, loaded, errors } = importMindFiles(simData, files);
+        setReport({ loaded, errors: [...readErrors, ...errors] });
+        if (loaded.length > 0) {
+            onImport(state, loaded);
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        handleFiles(e.dataTransfer.files);
+    };
+
+    const exportFile = (fileName) => {
+        downloadJson(fileName, exportMindFiles(simData)[fileName]);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <h3 className="text-xl font-semibold mb-4">Mind Files</h3>
+            <button
+                type="button"
+                onDragOver={e => { e.preventDefault(); setIsDragging(true); }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+                onClick={() => inputRef.current.click()}
+                disabled={disabled}
+                className={`w-full border-2 border-dashed rounded-lg p-4 text-center text-sm cursor-pointer transition disabled:opacity-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 ${isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-zinc-300 text-zinc-500 hover:border-indigo-400'}`}
+            >
+                Drop state.json, beliefs.json, goals.json or a graph export here, or click to choose files.
+            </button>
+            <input
+                ref={inputRef}
+                type="file"
+                accept=".json,application/json"
+                multiple
+                className="hidden"
+                onChange={e => { handleFiles(e.target.files); e.target.value = ''; }}
+            />
+            {report && (
+                <div className="mt-3 text-sm space-y-1">
+                    {report.loaded.map(({ name, kind }) => (
+                        <p key={name} className="text-green-700">Loaded {name} as {kind} data.</p>
+                    ))}
+                    {report.errors.map(error => (
+                        <p key={error} className="text-red-600">{error}</p>
+                    ))}
+                </div>
+            )}
+            <div className="mt-4 grid grid-cols-2 gap-2">
+                {MIND_FILE_NAMES.map(fileName => (
+                    <button key={fileName} onClick={() => exportFile(fileName)} className="bg-zinc-200 text-zinc-800 text-sm font-medium py-2 px-3 rounded-lg hover:bg-zinc-300 transition">
+                        Export {fileName}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default MindFilesPanel;
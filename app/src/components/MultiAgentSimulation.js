@@ -0,0 +1,246 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { appendEvents, createHistory, currentEntry, moveTo, pushEntry, runLog } from '../simulation/history';
+import { buildDriveSeries } from '../simulation/driveSeries';
+import { createBackend, ReasoningBackendError } from '../simulation/reasoning';
+import {
+    advanceWorldWith, communicate, createWorld, DEFAULT_COLLABORATION, MAX_AGENTS, summariseWorld, WORLD_STOP_CONDITIONS,
+} from '../simulation/multiAgent';
+import { logEvent } from '../simulation/thoughtLog';
+import AutorunControls from './AutorunControls';
+import DriveHistoryChart from './DriveHistoryChart';
+import MemoryMap from './MemoryMap';
+import ThoughtLog from './ThoughtLog';
+
+const inputClass = 'w-full border border-zinc-300 rounded-lg text-sm px-3 py-2 mt-1';
+const buttonClass = 'bg-zinc-200 text-zinc-800 text-sm font-medium py-2 px-3 rounded-lg hover:bg-zinc-300 transition disabled:opacity-50';
+
+const DEFAULT_SETUP = { count: 2, mode: 'shared', ...DEFAULT_COLLABORATION };
+
+const startHistory = (experiment, setup) => {
+    const world = createWorld({
+        ...experiment,
+        count: setup.count,
+        mode: setup.mode,
+        collaboration: { relief: setup.relief, communicateEvery: setup.communicateEvery },
+    });
+    const memory = setup.mode === 'shared' ? 'one shared memory graph' : 'separate memory graphs';
+    return createHistory(world, [
+        logEvent(world.agents[0].state, 'info', `${setup.count} agents started with ${memory}. Press "Run Cycle".`),
+    ]);
+};
+
+// `active` is false while the single-agent view is shown; the run is kept but paused.
+const MultiAgentSimulation = ({ experiment, reasoningConfig, active = true }) => {
+    const [setup, setSetup] = useState(DEFAULT_SETUP);
+    const [history, setHistory] = useState(() => startHistory(experiment, DEFAULT_SETUP));
+    const [isThinking, setIsThinking] = useState(false);
+    const [autorun, setAutorun] = useState({ playing: false, speed: 2, until: null });
+    const [pair, setPair] = useState([0, 1]);
+
+    const world = currentEntry(history).state;
+    const summary = summariseWorld(world);
+
+    // Like the single-agent run, a cycle whose world was replaced meanwhile is dropped.
+    const runCycle = useCallback(async () => {
+        setIsThinking(true);
+        const continues = (h) => currentEntry(h).state === world;
+        try {
+            const entry = await advanceWorldWith(world, createBackend(reasoningConfig));
+            const next = { state: entry.world, events: entry.events };
+            setHistory(h => (continues(h) ? pushEntry(h, next) : h));
+            return next;
+        } catch (e) {
+            const message = e instanceof ReasoningBackendError
+                ? `Reasoning backend unavailable: ${e.message}`
+                : `Cycle failed: ${e.message || e}`;
+            setHistory(h => (continues(h) ? appendEvents(h, [logEvent(currentEntry(h).state.agents[0].state, 'critical', message)]) : h));
+            return null;
+        } finally {
+            setIsThinking(false);
+        }
+    }, [world, reasoningConfig]);
+
+    useEffect(() => {
+        if (!active) setAutorun(a => (a.playing ? { ...a, playing: false } : a));
+    }, [active]);
+
+    useEffect(() => {
+        if (!autorun.playing || isThinking || !active) return undefined;
+        const timer = setTimeout(async () => {
+            const previous = world;
+            const entry = await runCycle();
+            const stop = autorun.until && WORLD_STOP_CONDITIONS[autorun.until];
+            if (!entry || (stop && stop(previous, entry))) {
+                setAutorun(a => ({ ...a, playing: false }));
+            }
+        }, 1000 / autorun.speed);
+        return () => clearTimeout(timer);
+    }, [autorun, isThinking, world, runCycle, active]);
+
+    const restart = () => {
+        setAutorun(a => ({ ...a, playing: false }));
+        setPair([0, 1]);
+        setHistory(startHistory(experiment, setup));
+    };
+
+    const share = () => {
+        setHistory(h => {
+            const { world: next, events } = communicate(currentEntry(h).state, pair[0], pair[1]);
+            return pushEntry(h, { state: next, events });
+        });
+    };
+
+    const jumpTo = (frame) => {
+        setAutorun(a => ({ ...a, playing: false }));
+        setHistory(h => moveTo(h, frame));
+    };
+
+    const setupField = (key, parse = Number) => (e) => setSetup(s => ({ ...s, [key]: parse(e.target.value) }));
+
+    const logEntries = useMemo(() => runLog(history), [history]);
+    const agentSeries = useMemo(() => {
+        const worlds = history.entries.slice(0, history.index + 1).map(entry => entry.state);
+        return worlds[0].agents.map((_, i) => buildDriveSeries(worlds.map(w => w.agents[i].state)));
+    }, [history]);
+    const concepts = [...new Set(world.agents.flatMap(agent => Object.keys(agent.state.memory.nodes)))].sort();
+    const markerOf = (agent) => ({ concept: agent.state.focus, color: agent.color, label: agent.name });
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                    <h3 className="text-xl font-semibold mb-4">Agents</h3>
+                    <div className="grid grid-cols-2 gap-3 text-sm">
+                        <label className="block">
+                            <span className="font-medium text-zinc-700">Agents</span>
+                            <select value={setup.count} onChange={setupField('count')} className={inputClass}>
+                                {Array.from({ length: MAX_AGENTS - 1 }, (_, i) => i + 2).map(n => <option key={n} value={n}>{n}</option>)}
+                            </select>
+                        </label>
+                        <label className="block">
+                            <span className="font-medium text-zinc-700">Memory</span>
+                            <select value={setup.mode} onChange={setupField('mode', String)} className={inputClass}>
+                                <option value="shared">Shared graph</option>
+                                <option value="separate">Separate graphs</option>
+                            </select>
+                        </label>
+                        <label className="block">
+                            <span className="font-medium text-zinc-700">Confusion relief</span>
+                            <input type="number" min={0} max={100} value={setup.relief} onChange={setupField('relief')} className={inputClass} />
+                        </label>
+                        <label className="block">
+                            <span className="font-medium text-zinc-700">Communicate every</span>
+                            <input
+                                type="number"
+                                min={0}
+                                value={setup.communicateEvery}
+                                onChange={setupField('communicateEvery')}
+                                disabled={setup.mode === 'shared'}
+                                className={`${inputClass} disabled:opacity-50`}
+                            />
+                        </label>
+                    </div>
+                    <p className="mt-2 text-xs text-zinc-500">
+                        Relief is how much an agent's confusion pain drops when another agent understands what it is stuck on. Separate agents communicate every that many cycles (0: only when you ask). Uses seed {experiment.seed} and the current parameters.
+                    </p>
+                    <button onClick={restart} disabled={isThinking} className="mt-4 w-full bg-zinc-200 text-zinc-800 font-bold py-2 px-4 rounded-lg hover:bg-zinc-300 transition disabled:opacity-50">Start new run</button>
+                </div>
+                <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                    <h3 className="text-xl font-semibold mb-4">Controls</h3>
+                    <button onClick={runCycle} disabled={isThinking || autorun.playing} className="w-full bg-indigo-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">{isThinking ? 'Thinking…' : 'Run Cycle'}</button>
+                    <AutorunControls
+                        autorun={autorun}
+                        setAutorun={setAutorun}
+                        history={history}
+                        onStepBack={() => setHistory(h => moveTo(h, h.index - 1))}
+                        onStepForward={() => setHistory(h => moveTo(h, h.index + 1))}
+                        disabled={false}
+                        thinking={isThinking}
+                    />
+                    {world.mode === 'separate' && (
+                        <div className="mt-4 flex items-end gap-2 text-sm">
+                            {[0, 1].map(slot => (
+                                <label key={slot} className="block flex-1">
+                                    <span className="font-medium text-zinc-700">{slot === 0 ? 'From' : 'To'}</span>
+                                    <select
+                                        value={pair[slot]}
+                                        onChange={e => setPair(p => p.map((value, i) => (i === slot ? Number(e.target.value) : value)))}
+                                        className={inputClass}
+                                    >
+                                        {world.agents.map((agent, i) => <option key={agent.id} value={i}>{agent.name}</option>)}
+                                    </select>
+                                </label>
+                            ))}
+                            <button onClick={share} disabled={pair[0] === pair[1] || autorun.playing || isThinking} className={buttonClass}>Communicate</button>
+                        </div>
+                    )}
+                </div>
+                <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                    <h3 className="text-xl font-semibold mb-4">Strategic Failures</h3>
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-zinc-500">
+                                <th className="font-medium">Agent</th>
+                                <th className="font-medium text-right">Break-downs</th>
+                                <th className="font-medium text-right">Understood</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {summary.map(row => (
+                                <tr key={row.id}>
+                                    <td className="py-1 font-semibold" style={{ color: row.color }}>{row.name}</td>
+                                    <td className="py-1 text-right font-mono">{row.breakDowns}</td>
+                                    <td className="py-1 text-right font-mono">{row.understood}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="mt-2 text-xs text-zinc-500">Cycle {world.cycle}. A break-down is the agent giving up on a concept as too difficult.</p>
+                </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
+                {world.agents.map(agent => (
+                    <div key={agent.id} className="bg-white p-6 rounded-lg shadow-sm border-2" style={{ borderColor: agent.color }}>
+                        <h3 className="text-xl font-semibold mb-2" style={{ color: agent.color }}>{agent.name}</h3>
+                        <dl className="grid grid-cols-2 gap-2 text-sm">
+                            <div><dt className="text-zinc-500">Curiosity</dt><dd className="font-bold text-indigo-600">{agent.state.state.curiosity}</dd></div>
+                            <div><dt className="text-zinc-500">Boredom</dt><dd className="font-bold text-amber-500">{agent.state.state.boredom}</dd></div>
+                            <div><dt className="text-zinc-500">Confusion</dt><dd className="font-bold text-red-600">{agent.state.state.pain}</dd></div>
+                            <div><dt className="text-zinc-500">Conflict</dt><dd className="font-bold text-purple-600">{agent.state.state.conflict ?? 0}</dd></div>
+                        </dl>
+                        <p className="mt-3 text-sm text-zinc-500">Focus</p>
+                        <p className="font-semibold text-zinc-800 truncate">{agent.state.focus || '-'}</p>
+                        <p className="mt-2 text-sm text-zinc-500">Active goal</p>
+                        <p className="text-sm font-mono text-zinc-700 break-words">{agent.state.goals.active[0]?.text || 'None (Idle)'}</p>
+                    </div>
+                ))}
+            </div>
+            {world.mode === 'shared' ? (
+                <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                    <h3 className="text-xl font-semibold mb-4">Shared Memory Map</h3>
+                    <MemoryMap memory={world.agents[0].state.memory} focus={null} markers={world.agents.map(markerOf)} />
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                    {world.agents.map(agent => (
+                        <div key={agent.id} className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+                            <h3 className="text-xl font-semibold mb-4">{agent.name}: Memory Map</h3>
+                            <MemoryMap memory={agent.state.memory} focus={null} markers={[markerOf(agent)]} />
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                {world.agents.map((agent, i) => (
+                    <React.Fragment key={agent.id}>
+                        <DriveHistoryChart series={agentSeries[i]} chart="drives" label={agent.name} />
+                        <DriveHistoryChart series={agentSeries[i]} chart="confusion" label={agent.name} />
+                    </React.Fragment>
+                ))}
+            </div>
+            <ThoughtLog items={logEntries} current={history.index} onJump={jumpTo} concepts={concepts} agents={world.agents} />
+        </div>
+    );
+};
+
+export default MultiAgentSimulation;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { experimentHash, normaliseParams, PARAM_DEFINITIONS, presetFor, PRESETS } from '../simulation/params';
+
+const inputClass = 'w-full border border-zinc-300 rounded-lg text-sm px-3 py-2';
+
+// `experiment` is the { seed, params } the running simulation was started with; edits
+// are drafts until applied, which restarts the run.
+const ParametersPanel = ({ experiment, onApply, disabled }) => {
+    const [draft, setDraft] = useState(experiment);
+    const [copied, setCopied] = useState(false);
+    // The link to copy by hand when the clipboard is unavailable (insecure page, no permission).
+    const [manualLink, setManualLink] = useState(null);
+
+    useEffect(() => setDraft(experiment), [experiment]);
+
+    const preset = presetFor(draft.params);
+    const setParam = (key, value) => setDraft(d => ({ ...d, params: { ...d.params, [key]: value } }));
+
+    const apply = () => {
+        const seed = Number.parseInt(draft.seed, 10);
+        onApply({ seed: Number.isFinite(seed) ? seed >>> 0 : experiment.seed, params: normaliseParams(draft.params) });
+    };
+
+    const copyLink = async () => {
+        const { origin, pathname, search } = window.location;
+        const link = `${origin}${pathname}${search}${experimentHash(experiment)}`;
+        try {
+            if (!navigator.clipboard) throw new Error('Clipboard unavailable.');
+            await navigator.clipboard.writeText(link);
+        } catch (e) {
+            setManualLink(link);
+            return;
+        }
+        setManualLink(null);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <h3 className="text-xl font-semibold mb-4">Parameters</h3>
+            <div className="space-y-3 text-sm">
+                <div className="grid grid-cols-2 gap-2">
+                    <label className="block">
+                        <span className="font-medium text-zinc-700">Preset</span>
+                        <select
+                            value={preset || ''}
+                            onChange={e => e.target.value && setDraft(d => ({ ...d, params: { ...PRESETS[e.target.value].params } }))}
+                            disabled={disabled}
+                            className={`${inputClass} mt-1`}
+                        >
+                            {!preset && <option value="">Custom</option>}
+                            {Object.entries(PRESETS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                        </select>
+                    </label>
+                    <label className="block">
+                        <span className="font-medium text-zinc-700">Seed</span>
+                        <input type="number" min={0} value={draft.seed} onChange={e => setDraft(d => ({ ...d, seed: e.target.value }))} disabled={disabled} className={`${inputClass} mt-1`} />
+                    </label>
+                </div>
+                {PARAM_DEFINITIONS.map(({ key, label, min, max, step }) => (
+                    <label key={key} className="block">
+                        <span className="flex justify-between font-medium text-zinc-700">
+                            {label}
+                            <span className="font-mono text-zinc-500">{draft.params[key]}</span>
+                        </span>
+                        <input
+                            type="range"
+                            min={min}
+                            max={max}
+                            step={step}
+                            value={draft.params[key]}
+                            onChange={e => setParam(key, Number(e.target.value))}
+                            disabled={disabled}
+                            className="w-full accent-indigo-600"
+                        />
+                    </label>
+                ))}
+                <div className="grid grid-cols-2 gap-2 pt-1">
+                    <button onClick={apply} disabled={disabled} className="bg-indigo-600 text-white font-bold py-2 px-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">Apply &amp; Reset</button>
+                    <button onClick={copyLink} className="bg-zinc-200 text-zinc-800 font-medium py-2 px-3 rounded-lg hover:bg-zinc-300 transition">{copied ? 'Link copied' : 'Copy link'}</button>
+                </div>
+                {manualLink && (
+                    <label className="block">
+                        <span className="text-xs text-zinc-500">The clipboard is unavailable here. Copy the link yourself:</span>
+                        <input type="text" readOnly value={manualLink} onFocus={e => e.target.select()} autoFocus className={`${inputClass} mt-1 font-mono text-xs`} />
+                    </label>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ParametersPanel;
@@ -0,0 +1,46 @@
+import React from 'react';
+
+const inputClass = 'w-full border border-zinc-300 rounded-lg text-sm px-3 py-2';
+
+const ReasoningPanel = ({ config, onChange, disabled }) => {
+    const update = (field) => (e) => onChange({ ...config, [field]: e.target.value });
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <h3 className="text-xl font-semibold mb-4">Reasoning Core</h3>
+            <div className="space-y-3 text-sm">
+                <label className="block">
+                    <span className="font-medium text-zinc-700">Backend</span>
+                    <select value={config.backend} onChange={update('backend')} disabled={disabled} className={`${inputClass} mt-1`}>
+                        <option value="stochastic">Stochastic stub</option>
+                        <option value="http">LLM server (HTTP)</option>
+                    </select>
+                </label>
+                {config.backend === 'http' && (
+                    <>
+                        <label className="block">
+                            <span className="font-medium text-zinc-700">Server URL</span>
+                            <input type="url" value={config.url} onChange={update('url')} disabled={disabled} className={`${inputClass} mt-1`} />
+                        </label>
+                        <div className="grid grid-cols-2 gap-2">
+                            <label className="block">
+                                <span className="font-medium text-zinc-700">Model</span>
+                                <input type="text" value={config.model} onChange={update('model')} disabled={disabled} className={`${inputClass} mt-1`} />
+                            </label>
+                            <label className="block">
+                                <span className="font-medium text-zinc-700">API</span>
+                                <select value={config.api} onChange={update('api')} disabled={disabled} className={`${inputClass} mt-1`}>
+                                    <option value="ollama">Ollama</option>
+                                    <option value="openai">OpenAI-compatible</option>
+                                </select>
+                            </label>
+                        </div>
+                        <p className="text-zinc-500">Only malformed or instruction-echoing responses raise confusion pain.</p>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ReasoningPanel;
@@ -0,0 +1,101 @@
+import React, { useEffect, useRef } from 'react';
+import { findCriticalFrame, parseRunLog } from '../simulation/replay';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+const ReplayPanel = ({ replay, setReplay, baseState }) => {
+    const inputRef = useRef(null);
+    const playing = replay?.playing;
+    const speed = replay?.speed;
+
+    useEffect(() => {
+        if (!playing) return undefined;
+        const timer = setInterval(() => {
+            setReplay(r => {
+                const index = Math.min(r.index + 1, r.frames.length - 1);
+                return { ...r, index, playing: index < r.frames.length - 1 };
+            });
+        }, 1000 / speed);
+        return () => clearInterval(timer);
+    }, [playing, speed, setReplay]);
+
+    const loadLog = async (file) => {
+        if (!file) return;
+        let frames;
+        try {
+            frames = parseRunLog(await file.text(), baseState);
+        } catch (e) {
+            setReplay({ fileName: file.name, frames: [], index: 0, playing: false, speed: 1, error: e.message || 'The file could not be read.' });
+            return;
+        }
+        if (frames.length === 0) {
+            setReplay({ fileName: file.name, frames, index: 0, playing: false, speed: 1, error: 'No log entries found in this file.' });
+            return;
+        }
+        setReplay({ fileName: file.name, frames, index: 0, playing: false, speed: 1 });
+    };
+
+    const jumpToCritical = (direction) => {
+        const index = findCriticalFrame(replay.frames, replay.index, direction);
+        if (index !== -1) {
+            setReplay(r => ({ ...r, index, playing: false }));
+        }
+    };
+
+    const hasFrames = replay && replay.frames.length > 0;
+    const buttonClass = 'bg-zinc-200 text-zinc-800 text-sm font-medium py-2 px-3 rounded-lg hover:bg-zinc-300 transition disabled:opacity-50';
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <h3 className="text-xl font-semibold mb-4">Run Log Replay</h3>
+            <div className="flex gap-2">
+                <button onClick={() => inputRef.current.click()} className={`${buttonClass} flex-1`}>Load run log</button>
+                {replay && <button onClick={() => setReplay(null)} className={buttonClass}>Exit replay</button>}
+                <input
+                    ref={inputRef}
+                    type="file"
+                    accept=".jsonl,.log,.txt,.json"
+                    className="hidden"
+                    onChange={e => { loadLog(e.target.files[0]); e.target.value = ''; }}
+                />
+            </div>
+            {replay?.error && <p className="mt-3 text-sm text-red-600">{replay.fileName}: {replay.error}</p>}
+            {hasFrames && (
+                <div className="mt-4 space-y-3">
+                    <p className="text-sm text-zinc-500 truncate">
+                        {replay.fileName} &middot; frame {replay.index + 1} / {replay.frames.length} (cycle {replay.frames[replay.index].cycle})
+                    </p>
+                    <input
+                        type="range"
+                        aria-label="Replay timeline"
+                        min={0}
+                        max={replay.frames.length - 1}
+                        value={replay.index}
+                        onChange={e => setReplay(r => ({ ...r, index: Number(e.target.value), playing: false }))}
+                        className="w-full accent-indigo-600"
+                    />
+                    <div className="flex flex-wrap gap-2">
+                        <button onClick={() => jumpToCritical(-1)} className={buttonClass} title="Previous critical event">⏮ 🔥</button>
+                        <button
+                            onClick={() => setReplay(r => ({ ...r, playing: !r.playing, index: r.index >= r.frames.length - 1 ? 0 : r.index }))}
+                            className="flex-1 bg-indigo-600 text-white text-sm font-bold py-2 px-3 rounded-lg hover:bg-indigo-700 transition"
+                        >
+                            {replay.playing ? 'Pause' : 'Play'}
+                        </button>
+                        <button onClick={() => jumpToCritical(1)} className={buttonClass} title="Next critical event">🔥 ⏭</button>
+                        <select
+                            aria-label="Replay speed"
+                            value={replay.speed}
+                            onChange={e => setReplay(r => ({ ...r, speed: Number(e.target.value) }))}
+                            className="border border-zinc-300 rounded-lg text-sm px-2"
+                        >
+                            {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+                        </select>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReplayPanel;
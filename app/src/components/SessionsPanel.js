@@ -0,0 +1,45 @@
+import React from 'react';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+// `sessions` are summaries (see summariseSession); `current` is the running session.
+const SessionsPanel = ({ current, sessions, saveError, onRename, onOpen, onDuplicate, onDelete, disabled }) => (
+    <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+        <h3 className="text-xl font-semibold mb-4">Saved Sessions</h3>
+        <label className="block text-sm">
+            <span className="font-medium text-zinc-700">This run</span>
+            <input
+                type="text"
+                value={current.name}
+                onChange={e => onRename(e.target.value)}
+                className="w-full border border-zinc-300 rounded-lg text-sm px-3 py-2 mt-1"
+            />
+        </label>
+        <p className={`mt-1 text-xs ${saveError ? 'text-red-600' : 'text-zinc-500'}`}>
+            {saveError || 'Runs are saved in this browser automatically.'}
+        </p>
+        {sessions.length > 0 && (
+            <ul className="mt-4 space-y-2 text-sm max-h-64 overflow-y-auto">
+                {sessions.map(session => {
+                    const isCurrent = session.id === current.id;
+                    return (
+                        <li key={session.id} className={`rounded-md border p-2 ${isCurrent ? 'border-indigo-300 bg-indigo-50' : 'border-zinc-200'}`}>
+                            <p className="font-medium text-zinc-800 truncate">{session.name}</p>
+                            <p className="text-xs text-zinc-500">
+                                {session.cycles} cycles · {session.understood} understood · {formatTime(session.updatedAt)}
+                            </p>
+                            <div className="mt-2 flex gap-2">
+                                <button onClick={() => onOpen(session.id)} disabled={disabled || isCurrent} className="bg-zinc-200 text-zinc-800 text-xs font-medium py-1 px-2 rounded hover:bg-zinc-300 transition disabled:opacity-50">Open</button>
+                                <button onClick={() => onDuplicate(session.id)} disabled={disabled} className="bg-zinc-200 text-zinc-800 text-xs font-medium py-1 px-2 rounded hover:bg-zinc-300 transition disabled:opacity-50">Duplicate</button>
+                                <button onClick={() => onDelete(session.id)} disabled={disabled || isCurrent} className="bg-zinc-200 text-red-700 text-xs font-medium py-1 px-2 rounded hover:bg-red-100 transition disabled:opacity-50">Delete</button>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        )}
+        <a href="#compare" className="mt-4 inline-block text-sm font-medium text-indigo-600 hover:underline">Compare two runs →</a>
+    </div>
+);
+
+export default SessionsPanel;
@@ -0,0 +1,113 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { filterLog, LOG_TYPES, logToJsonl, logToMarkdown } from '../simulation/thoughtLog';
+import { downloadFile } from '../utils/download';
+
+const LOG_STYLES = {
+    info: { prefix: 'INFO', color: 'text-zinc-300', toggle: 'Info' },
+    success: { prefix: '✅ OK', color: 'text-green-400', toggle: 'OK' },
+    warn: { prefix: '⚠️ WARN', color: 'text-amber-400', toggle: 'Warn' },
+    critical: { prefix: '🔥 CRITICAL', color: 'text-red-400', toggle: 'Critical' },
+};
+
+const inputClass = 'border border-zinc-300 rounded-lg text-sm px-3 py-1';
+const buttonClass = 'bg-zinc-200 text-zinc-800 text-sm font-medium py-1 px-3 rounded-lg hover:bg-zinc-300 transition';
+
+// Rows rendered at a time: the matching entries up to the viewed frame, plus a few after
+// it. Filtering and export still use every entry.
+const LOG_WINDOW = 200;
+const LATER_ROWS = 50;
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleTimeString() : '');
+
+// `items` come from logItems(); `current` is the frame being viewed. Entries logged after
+// it are dimmed, and clicking an entry calls `onJump` with its frame (when given).
+// `agents` ({ id, color }) tags the entries of a multi-agent run with their agent.
+const ThoughtLog = ({ items, current, onJump, concepts, agents = [] }) => {
+    const [types, setTypes] = useState(LOG_TYPES);
+    const [concept, setConcept] = useState('');
+    const [query, setQuery] = useState('');
+    const [limit, setLimit] = useState(LOG_WINDOW);
+    const currentRef = useRef(null);
+
+    const visible = useMemo(() => filterLog(items, { types, concept, query }), [items, types, concept, query]);
+    const lastCurrent = visible.reduce((found, item, i) => (item.frame <= current ? i : found), -1);
+    const end = Math.min(visible.length, lastCurrent + 1 + LATER_ROWS);
+    const start = Math.max(0, end - limit);
+
+    useEffect(() => {
+        if (currentRef.current && currentRef.current.scrollIntoView) {
+            currentRef.current.scrollIntoView({ block: 'nearest' });
+        }
+    }, [lastCurrent, visible.length]);
+
+    const Row = onJump ? 'button' : 'p';
+
+    const toggleType = (type) => setTypes(selected => (selected.includes(type)
+        ? selected.filter(t => t !== type)
+        : LOG_TYPES.filter(t => t === type || selected.includes(t))));
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-semibold">Thought & Action Log</h3>
+                <div className="flex gap-2">
+                    <button onClick={() => downloadFile('thought-log.jsonl', logToJsonl(visible), 'application/x-ndjson')} className={buttonClass}>JSONL</button>
+                    <button onClick={() => downloadFile('thought-log.md', logToMarkdown(visible), 'text/markdown')} className={buttonClass}>Markdown</button>
+                </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                {LOG_TYPES.map(type => (
+                    <label key={type} className="flex items-center gap-1 text-zinc-700">
+                        <input type="checkbox" checked={types.includes(type)} onChange={() => toggleType(type)} />
+                        {LOG_STYLES[type].toggle}
+                    </label>
+                ))}
+                <select value={concept} onChange={e => setConcept(e.target.value)} aria-label="Concept" className={inputClass}>
+                    <option value="">All concepts</option>
+                    {concepts.map(id => <option key={id} value={id}>{id}</option>)}
+                </select>
+                <input
+                    type="search"
+                    value={query}
+                    onChange={e => setQuery(e.target.value)}
+                    placeholder="Search the log…"
+                    aria-label="Search the log"
+                    className={`${inputClass} flex-1 min-w-[10rem]`}
+                />
+            </div>
+            <div className="h-64 bg-zinc-900 text-white font-mono text-sm p-4 rounded-md overflow-y-auto">
+                {start > 0 && (
+                    <button onClick={() => setLimit(l => l + LOG_WINDOW)} className="block w-full mb-2 text-left text-sky-300 hover:underline">
+                        Show earlier entries ({start} hidden)
+                    </button>
+                )}
+                {visible.slice(start, end).map((item, row) => {
+                    const i = start + row;
+                    const style = LOG_STYLES[item.type] || LOG_STYLES.info;
+                    const agent = item.agent && agents.find(a => a.id === item.agent);
+                    return (
+                        <Row
+                            key={i}
+                            ref={i === lastCurrent ? currentRef : null}
+                            onClick={onJump ? () => onJump(item.frame) : undefined}
+                            title={[formatTime(item.timestamp), item.goal].filter(Boolean).join(' · ')}
+                            className={`block w-full text-left ${item.frame > current ? 'opacity-40' : ''} ${item.frame === current ? 'bg-zinc-800' : ''} ${onJump ? 'hover:bg-zinc-700' : ''}`}
+                        >
+                            <span className="text-zinc-500">#{item.cycle}</span>{' '}
+                            {agent && <><span className="font-bold" style={{ color: agent.color }}>[{agent.id}]</span>{' '}</>}
+                            <span className={style.color}>{style.prefix}:</span> {item.message}
+                            {item.detail !== undefined && <> <code className="text-sky-300 break-all">{item.detail}</code></>}
+                        </Row>
+                    );
+                })}
+                {end < visible.length && <p className="mt-2 text-zinc-500">{visible.length - end} later entries not shown.</p>}
+                {visible.length === 0 && <p className="text-zinc-500">No log entries match.</p>}
+            </div>
+            <p className="mt-2 text-xs text-zinc-500">
+                {visible.length} of {items.length} entries.{onJump && ' Click an entry to return to that cycle.'}
+            </p>
+        </div>
+    );
+};
+
+export default ThoughtLog;
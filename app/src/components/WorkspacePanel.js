@@ -0,0 +1,50 @@
+import React from 'react';
+
+const KIND_STYLES = {
+    goal: { label: 'Goal', bar: 'bg-indigo-500' },
+    explore: { label: 'Curiosity', bar: 'bg-sky-500' },
+    confusion: { label: 'Confusion', bar: 'bg-red-500' },
+    boredom: { label: 'Boredom', bar: 'bg-amber-500' },
+    wander: { label: 'Idle', bar: 'bg-zinc-400' },
+};
+
+const WorkspacePanel = ({ workspace }) => {
+    const candidates = workspace ? [...workspace.candidates].sort((a, b) => b.salience - a.salience) : [];
+    const scale = Math.max(100, ...candidates.map(c => c.salience));
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-zinc-200">
+            <h3 className="text-xl font-semibold mb-1">Global Workspace</h3>
+            <p className="text-sm text-zinc-500 mb-4">What competed for attention this cycle. The most salient candidate was broadcast and became the focus.</p>
+            {candidates.length > 0 ? (
+                <ol className="space-y-2 text-sm">
+                    {candidates.map(candidate => {
+                        const style = KIND_STYLES[candidate.kind] || KIND_STYLES.goal;
+                        const isWinner = candidate.id === workspace.winner;
+                        return (
+                            <li key={candidate.id} className={`rounded-md p-2 ${isWinner ? 'bg-indigo-50 ring-1 ring-indigo-300' : ''}`}>
+                                <div className="flex items-center justify-between gap-2">
+                                    <span className="truncate">
+                                        <span className="text-xs font-semibold uppercase text-zinc-500 mr-2">{style.label}</span>
+                                        <span className={isWinner ? 'font-semibold text-zinc-900' : 'text-zinc-700'}>{candidate.label}</span>
+                                    </span>
+                                    <span className="shrink-0 font-mono text-zinc-600">
+                                        {isWinner && <span className="mr-2 text-xs font-bold text-indigo-600 uppercase">Broadcast</span>}
+                                        {candidate.salience}
+                                    </span>
+                                </div>
+                                <div className="mt-1 h-1.5 bg-zinc-100 rounded">
+                                    <div className={`h-1.5 rounded ${style.bar}`} style={{ width: `${Math.max(0, (candidate.salience / scale) * 100)}%` }} />
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ol>
+            ) : (
+                <p className="text-sm text-zinc-500">No competition yet. Run a cycle to see what the mind attends to.</p>
+            )}
+        </div>
+    );
+};
+
+export default WorkspacePanel;
@@ -0,0 +1,16 @@
+// Jest has neither require.context nor fetch: read the content files from disk.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+// The directories content/index.js reads content from. Listed rather than walked, since
+// recursive readdirSync needs a newer Node than the tests otherwise do.
+const DIRECTORIES = ['sections', 'architecture'];
+
+export const loadFiles = () => Promise.resolve(DIRECTORIES.flatMap(directory => fs
+    .readdirSync(path.join(root, directory))
+    .filter(file => file.endsWith('.md'))
+    .map(file => ({
+        path: `${directory}/${file}`,
+        text: fs.readFileSync(path.join(root, directory, file), 'utf8'),
+    }))));
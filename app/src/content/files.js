@@ -0,0 +1,11 @@
+// Every Markdown file under src/content, as [{ path, text }] with paths like
+// `sections/home.md`. webpack bundles each file as a static asset and hands back its URL,
+// so the text is fetched when the site loads. (Tests read the files from disk instead,
+// see __mocks__/files.js.)
+const context = require.context('./', true, /\.md$/);
+
+export const loadFiles = () => Promise.all(context.keys().map(async (key) => {
+    const response = await fetch(context(key));
+    if (!response.ok) throw new Error(`Could not load ${key} (HTTP ${response.status}).`);
+    return { path: key.replace(/^\.\//, ''), text: await response.text() };
+}));
@@ -0,0 +1,60 @@
+// --- Site Content ---
+// The site's prose lives in Markdown files next to this one, and adding a file is all it
+// takes to add a page or an architecture component:
+//
+//   sections/<id>.md       a page, linked from the sidebar and routed at #<id>
+//   architecture/<id>.md   a component card on the Architecture page
+//
+// Section front matter: `title` (the page heading), `nav` (its sidebar label), `order`,
+// and optionally `component`, the interactive view shown below the text (see App.js), and
+// `columns`, how many cards sit side by side. The text before the first `##` heading is
+// the page's lead paragraph; every `##` heading starts a card.
+//
+// Architecture front matter: `name`, `subtitle` and `icon` for the card, `title` for its
+// details, and `order`. The body is the details.
+
+import { parseFrontMatter, parseMarkdown } from '../utils/markdown';
+import { loadFiles } from './files';
+
+const CONTENT_PATH = /^(sections|architecture)\/([\w-]+)\.md$/;
+
+const byOrder = (a, b) => (a.order - b.order) || a.id.localeCompare(b.id);
+
+const splitCards = (blocks) => {
+    const start = blocks.findIndex(block => block.type === 'heading' && block.level === 2);
+    const lead = start === -1 ? blocks : blocks.slice(0, start);
+    const cards = [];
+    (start === -1 ? [] : blocks.slice(start)).forEach(block => {
+        if (block.type === 'heading' && block.level === 2) {
+            cards.push({ title: block.text, tone: block.tone, blocks: [] });
+        } else {
+            cards[cards.length - 1].blocks.push(block);
+        }
+    });
+    return { lead, cards };
+};
+
+// `files` as loaded by loadFiles(). Returns { sections, architecture }, each in `order`;
+// files elsewhere under src/content are ignored.
+export function buildContent(files) {
+    const sections = [];
+    const architecture = [];
+    files.forEach(({ path, text }) => {
+        const match = path.match(CONTENT_PATH);
+        if (!match) return;
+        const [, kind, id] = match;
+        const { attributes, body } = parseFrontMatter(text);
+        const blocks = parseMarkdown(body);
+        const entry = { ...attributes, id, order: attributes.order ?? Infinity };
+        if (kind === 'sections') {
+            const title = attributes.title || id;
+            sections.push({ ...entry, title, nav: attributes.nav || title, columns: attributes.columns || 1, ...splitCards(blocks) });
+        } else {
+            const name = attributes.name || id;
+            architecture.push({ ...entry, name, title: attributes.title || name, subtitle: attributes.subtitle || '', icon: attributes.icon || '', blocks });
+        }
+    });
+    return { sections: sections.sort(byOrder), architecture: architecture.sort(byOrder) };
+}
+
+export const loadContent = () => loadFiles().then(buildContent);
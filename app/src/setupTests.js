@@ -3,3 +3,6 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// The site content is bundled by webpack; under Jest it is read from disk.
+jest.mock('./content/files');
@@ -0,0 +1,109 @@
+// --- Beliefs ---
+// The sim's counterpart of beliefs.json. `state.beliefs` is
+//
+//   { axioms: [statement, ...], learned: [{ concept, statement, cycle }, ...] }
+//
+// Axioms are foundational and are never revised. Learned beliefs are the descriptions
+// the mind stored when it understood a concept. Statements are compared through the
+// simple claims they make ("X is Y", "X are not Y", "X cannot Y"): two claims
+// contradict when they share subject, verb and predicate but disagree on negation.
+
+const CONTRACTIONS = [
+    [/\bisn't\b/g, 'is not'],
+    [/\baren't\b/g, 'are not'],
+    [/\bcan't\b|\bcannot\b/g, 'can not'],
+    [/\bdoesn't\b/g, 'does not'],
+    [/\bdon't\b/g, 'do not'],
+];
+const CLAIM_PATTERN = /^(.+?)\s+(is|are|can|does|do|has|have)\s+(not\s+)?(.+)$/;
+const VERB_FORMS = { are: 'is', do: 'does', have: 'has' };
+const LEADING_ARTICLE = /^(?:a|an|the)\s+/;
+
+export const createBeliefs = (axioms = []) => ({ axioms: [...axioms], learned: [] });
+
+// Older states (and bare beliefs.json arrays) carry only a list of axioms.
+export const getBeliefs = (simState) => {
+    const { beliefs } = simState;
+    if (Array.isArray(beliefs)) return createBeliefs(beliefs);
+    return {
+        axioms: (beliefs && beliefs.axioms) || [],
+        learned: (beliefs && beliefs.learned) || [],
+    };
+};
+
+const normalisePhrase = (text) => text
+    .trim()
+    .replace(/^['"]|['"]$/g, '')
+    .replace(LEADING_ARTICLE, '')
+    .trim();
+
+// Every "subject verb [not] predicate" claim in `statement`, one per sentence.
+export function parseClaims(statement) {
+    let text = String(statement).toLowerCase();
+    CONTRACTIONS.forEach(([pattern, replacement]) => {
+        text = text.replace(pattern, replacement);
+    });
+    return text
+        .split(/[.!?;]+/)
+        .map(sentence => sentence.trim().match(CLAIM_PATTERN))
+        .filter(Boolean)
+        .map(([, subject, verb, not, predicate]) => ({
+            subject: normalisePhrase(subject),
+            verb: VERB_FORMS[verb] || verb,
+            verbText: verb,
+            negated: Boolean(not),
+            predicate: normalisePhrase(predicate),
+        }))
+        .filter(claim => claim.subject && claim.predicate);
+}
+
+const claimsContradict = (a, b) => (
+    a.subject === b.subject && a.verb === b.verb && a.predicate === b.predicate && a.negated !== b.negated
+);
+
+export const statementsContradict = (a, b) => {
+    const claimsB = parseClaims(b);
+    return parseClaims(a).some(claim => claimsB.some(other => claimsContradict(claim, other)));
+};
+
+// The held beliefs `statement` contradicts, as { statement, axiom, concept }.
+export function findContradictions(beliefs, statement) {
+    return [
+        ...beliefs.axioms.map(axiom => ({ statement: axiom, axiom: true, concept: null })),
+        ...beliefs.learned.map(belief => ({ statement: belief.statement, axiom: false, concept: belief.concept })),
+    ].filter(held => held.statement !== statement && statementsContradict(statement, held.statement));
+}
+
+// Works out which beliefs to give up so that nothing learned about `concept` contradicts
+// anything else: an axiom always wins, and between two learned beliefs the newer one is
+// kept. Returns the remaining beliefs and the learned beliefs that were retracted.
+export function resolveConflicts(beliefs, concept) {
+    let learned = [...beliefs.learned];
+    const retracted = [];
+    const retract = (belief) => {
+        learned = learned.filter(other => other !== belief);
+        retracted.push(belief);
+    };
+
+    [...learned].reverse()
+        .filter(belief => belief.concept === concept)
+        .forEach(belief => {
+            if (!learned.includes(belief)) return;
+            if (beliefs.axioms.some(axiom => statementsContradict(belief.statement, axiom))) {
+                retract(belief);
+                return;
+            }
+            learned
+                .filter(other => other !== belief && statementsContradict(belief.statement, other.statement))
+                .forEach(retract);
+        });
+
+    return { beliefs: { ...beliefs, learned }, retracted };
+}
+
+// A statement that contradicts the given claim, used by the stochastic stub to
+// occasionally "understand" something in a way that clashes with what is already held.
+export const negateClaim = ({ subject, verbText, negated, predicate }) => {
+    const sentence = `${subject} ${verbText} ${negated ? '' : 'not '}${predicate}.`;
+    return sentence[0].toUpperCase() + sentence.slice(1);
+};
@@ -0,0 +1,51 @@
+// --- Drive Series ---
+// Flattens a sequence of sim states (live history or replay frames) into per-cycle
+// drive values plus the cycles where a goal was completed, a concept broken down, a
+// contradiction found or a conflict resolved, and the thresholds the run was using.
+// `pain` is confusion pain; `conflict` is conflict pain.
+
+import { getParams } from './params';
+
+export const DRIVES = ['curiosity', 'boredom', 'pain', 'conflict'];
+
+const isBreakDown = (goal) => goal?.type === 'breakDown';
+const isResolve = (goal) => goal.type === 'resolve';
+
+export function buildDriveSeries(states) {
+    const series = { cycles: [], curiosity: [], boredom: [], pain: [], conflict: [], markers: [] };
+    states.forEach((state, i) => {
+        series.cycles.push(state.cycle);
+        DRIVES.forEach(drive => series[drive].push(state.state[drive] ?? 0));
+
+        const previous = states[i - 1];
+        if (!previous) return;
+        if (state.goals.completed.length > previous.goals.completed.length) {
+            series.markers.push({ index: i, cycle: state.cycle, kind: 'completed' });
+        }
+        if (isBreakDown(state.goals.active[0]) && state.goals.active[0].id !== previous.goals.active[0]?.id) {
+            series.markers.push({ index: i, cycle: state.cycle, kind: 'break-down' });
+        }
+        if ((state.state.conflict ?? 0) > (previous.state.conflict ?? 0)) {
+            series.markers.push({ index: i, cycle: state.cycle, kind: 'contradiction' });
+        }
+        if (state.goals.completed.slice(previous.goals.completed.length).some(isResolve)) {
+            series.markers.push({ index: i, cycle: state.cycle, kind: 'resolved' });
+        }
+    });
+    const params = states.length > 0 ? getParams(states[states.length - 1]) : getParams({});
+    series.thresholds = { pain: params.painThreshold, boredom: params.boredomThreshold, conflict: params.conflictThreshold };
+    return series;
+}
+
+// `drives` and `markerKinds` narrow the export to the columns and events one chart shows.
+export function seriesToCsv(series, drives = DRIVES, markerKinds = null) {
+    const rows = [['cycle', ...drives, 'event']];
+    series.cycles.forEach((cycle, i) => {
+        const events = series.markers
+            .filter(m => m.index === i && (!markerKinds || markerKinds.includes(m.kind)))
+            .map(m => m.kind)
+            .join(';');
+        rows.push([cycle, ...drives.map(drive => series[drive][i]), events]);
+    });
+    return rows.map(row => row.join(',')).join('\n') + '\n';
+}
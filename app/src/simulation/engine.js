@@ -0,0 +1,178 @@
+// --- Simulation Engine ---
+// A pure, seedable model of the Hizawye consciousness loop. `step` never touches
+// React state or the DOM: it takes a sim state and a random source and returns the
+// next state plus the events that happened, so a run can be replayed from its seed.
+// What the mind works on each cycle is settled by the workspace competition
+// (workspace.js); the candidates and the winner are kept on the state as `workspace`.
+
+import { DEFAULT_PARAMS, getParams } from './params';
+import { buildPrompt, stochasticBackend } from './reasoning';
+import { breakDownInstead, createGoal, createGoals, getGoals, GOAL_TYPES } from './goals';
+import { applyMemoryDynamics } from './memoryDynamics';
+import { createBeliefs } from './beliefs';
+import { compete } from './workspace';
+import { createEmitter } from './thoughtLog';
+
+export const DEFAULT_SEED = 42;
+
+const initialSimState = {
+    cycle: 0,
+    state: { curiosity: 65, boredom: 0, pain: 0, conflict: 0 },
+    goals: createGoals(["Deepen understanding of the concept: 'belief system'"]),
+    memory: {
+        nodes: {
+            'belief system': { x: 50, y: 20, understood: false },
+            'knowledge': { x: 20, y: 50, understood: false },
+            'delusions': { x: 80, y: 50, understood: false },
+            'creativity': { x: 20, y: 80, understood: false },
+        },
+        links: [
+            { source: 'knowledge', target: 'belief system' },
+            { source: 'belief system', target: 'delusions' },
+            { source: 'knowledge', target: 'creativity' },
+        ]
+    },
+    focus: 'belief system',
+    // The concept whose failures caused the current confusion pain, if any.
+    painSource: null,
+    beliefs: createBeliefs([
+        'Knowledge is justified belief.',
+        'Delusions are not knowledge.',
+        'Creativity is valuable.',
+        'The belief system is revisable.',
+    ]),
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Mulberry32: small, fast and good enough for a toy loop. The whole generator state is
+// one uint32, which lets it live inside the (JSON-serialisable) sim state.
+const nextRandom = (rngState) => {
+    const nextState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return [((t ^ (t >>> 14)) >>> 0) / 4294967296, nextState];
+};
+
+export const createRng = (seed = DEFAULT_SEED) => {
+    let rngState = seed >>> 0;
+    const rng = () => {
+        const [value, nextState] = nextRandom(rngState);
+        rngState = nextState;
+        return value;
+    };
+    rng.getState = () => rngState;
+    return rng;
+};
+
+export const createInitialState = (seed = DEFAULT_SEED, params = DEFAULT_PARAMS) => {
+    const initial = clone(initialSimState);
+    initial.state.curiosity = params.initialCuriosity;
+    return { ...initial, seed, rngState: seed >>> 0, params: { ...params } };
+};
+
+export const getNeighbors = (memory, nodeId) => memory.links
+    .filter(l => l.source === nodeId || l.target === nodeId)
+    .map(l => (l.source === nodeId ? l.target : l.source));
+
+// The concept and prompt the reasoning core will be asked about this cycle, or null
+// when the next cycle does not consult it.
+export const pendingReasoning = (simState) => {
+    const { winner } = compete(simState, getParams(simState));
+    const goal = winner && winner.kind === 'goal' ? winner.goal : null;
+    if (!goal || !GOAL_TYPES[goal.type] || !GOAL_TYPES[goal.type].needsReasoning) return null;
+    return { concept: goal.concept, prompt: buildPrompt(goal.concept) };
+};
+
+const workOnGoal = (next, goal, params, rng, emit, options) => {
+    if (!GOAL_TYPES[goal.type]) {
+        emit(`Unknown goal type, skipping: ${goal.text}`, 'warn');
+        next.goals.active.shift();
+        return;
+    }
+    goal.attempts += 1;
+    next.focus = goal.concept;
+    if (!next.memory.nodes[next.focus]) {
+        next.memory.nodes[next.focus] = { x: 50, y: 50, understood: false };
+    }
+    emit(`Goal-directed focus: ${next.focus}`);
+    GOAL_TYPES[goal.type].handle({ state: next, goal, concept: goal.concept, params, rng, emit, options });
+};
+
+// `options.reasoning` is an outcome already produced by a reasoning backend for
+// `pendingReasoning(simState)`; without it the stochastic stub decides.
+export function step(simState, rng, options = {}) {
+    // Completed goals never change again, so each state shares them with the one before
+    // instead of copying them: a state in the run history then costs what its open goals
+    // cost, however many goals the run has finished.
+    const { completed, ...open } = getGoals(simState);
+    const next = clone({ ...simState, goals: open });
+    next.goals.completed = [...completed];
+    const events = [];
+    const emit = createEmitter(next, events);
+    const params = getParams(next);
+
+    next.cycle = (next.cycle || 0) + 1;
+
+    const { candidates, winner } = compete(next, params);
+    next.workspace = {
+        winner: winner.id,
+        candidates: candidates.map(({ id, kind, label, salience }) => ({ id, kind, label, salience })),
+    };
+
+    if (winner.kind === 'goal') {
+        if (winner.index > 0) {
+            emit(`Attention shifts to: ${winner.goal.text}`);
+            next.goals.active.splice(winner.index, 1);
+            next.goals.active.unshift(winner.goal);
+        }
+        workOnGoal(next, winner.goal, params, rng, emit, options);
+    } else if (winner.kind === 'confusion') {
+        next.goals.active.splice(winner.index, 1);
+        next.goals.active.unshift(winner.goal);
+        next.focus = winner.concept;
+        emit(`Confusion over '${winner.concept}' outweighs the goal. This is too difficult.`, 'critical');
+        breakDownInstead(next, winner.concept, emit);
+    } else if (winner.kind === 'boredom') {
+        emit(`Boredom threshold reached. Seeking novelty.`, 'critical');
+        next.goals.active.push(createGoal(next, 'expand', next.focus));
+        next.state.boredom = 0;
+    } else if (winner.kind === 'explore') {
+        next.focus = winner.concept;
+        emit(`Curiosity drives attention to ${winner.concept}.`);
+        next.goals.active.unshift(createGoal(next, 'deepen', winner.concept));
+        next.state.curiosity = Math.max(0, next.state.curiosity - params.curiosityCost);
+    } else {
+        emit(`Idle mode. No active goals.`);
+        next.state.boredom = Math.min(100, next.state.boredom + params.boredomPerIdle);
+        const neighbors = getNeighbors(next.memory, next.focus);
+        if (neighbors.length > 0) {
+            next.focus = neighbors[Math.floor(rng() * neighbors.length)];
+            emit(`Mind wanders to: ${next.focus}`);
+        }
+    }
+
+    applyMemoryDynamics(next, simState.focus, params, emit);
+
+    return { state: next, events };
+}
+
+// Runs one cycle using the generator state stored on the sim state itself.
+export function advance(simState, options) {
+    const rng = createRng(simState.rngState);
+    const { state, events } = step(simState, rng, options);
+    state.rngState = rng.getState();
+    return { state, events };
+}
+
+// Like `advance`, but lets `backend` answer the cycle's reasoning request first. The
+// stochastic stub needs the cycle's own random source, so it is left to `step`.
+export async function advanceWith(simState, backend) {
+    const request = pendingReasoning(simState);
+    if (!request || !backend || backend.id === stochasticBackend.id) {
+        return advance(simState);
+    }
+    const reasoning = await backend.reason({ ...request, simState });
+    return advance(simState, { reasoning });
+}
@@ -0,0 +1,3 @@
+// Kept apart from experiments.js because `import.meta` only exists in the webpack
+// build; callers load this module lazily and fall back to the main thread.
+export const createExperimentWorker = () => new Worker(new URL('./experiments.worker.js', import.meta.url));
@@ -0,0 +1,135 @@
+// --- Batch Experiments ---
+// Runs the loop headlessly over many seeds and collects, per run: when the first
+// break-down happened, how many concepts ended up understood, how deep the memory
+// graph grew and how the cycles split between idle wandering and goal-directed work.
+
+import { advance, createInitialState } from './engine';
+import { DEFAULT_PARAMS } from './params';
+
+export const METRICS = [
+    { key: 'firstBreakDown', label: 'Cycles to first break-down' },
+    { key: 'understood', label: 'Concepts understood' },
+    { key: 'maxDepth', label: 'Max graph depth' },
+    { key: 'idleShare', label: 'Share of cycles idle' },
+];
+
+// Longest shortest-path distance from a root concept (one nothing links to). Graphs
+// without roots are measured from every node.
+export function graphDepth(memory) {
+    const ids = Object.keys(memory.nodes);
+    const children = new Map(ids.map(id => [id, []]));
+    const hasParent = new Set();
+    memory.links.forEach(({ source, target }) => {
+        if (children.has(source) && children.has(target)) {
+            children.get(source).push(target);
+            hasParent.add(target);
+        }
+    });
+    const roots = ids.filter(id => !hasParent.has(id));
+
+    let depth = 0;
+    (roots.length > 0 ? roots : ids).forEach(root => {
+        const seen = new Set([root]);
+        let frontier = [root];
+        let level = 0;
+        while (frontier.length > 0) {
+            depth = Math.max(depth, level);
+            const next = [];
+            frontier.forEach(id => children.get(id).forEach(child => {
+                if (!seen.has(child)) {
+                    seen.add(child);
+                    next.push(child);
+                }
+            }));
+            frontier = next;
+            level++;
+        }
+    });
+    return depth;
+}
+
+export function runExperiment(seed, cycles, params = DEFAULT_PARAMS) {
+    let state = createInitialState(seed, params);
+    let firstBreakDown = null;
+    let idleCycles = 0;
+
+    for (let i = 0; i < cycles; i++) {
+        if (state.goals.active.length === 0) idleCycles++;
+        const previousGoal = state.goals.active[0];
+        state = advance(state).state;
+        const goal = state.goals.active[0];
+        if (firstBreakDown === null && goal?.type === 'breakDown' && goal.id !== previousGoal?.id) {
+            firstBreakDown = state.cycle;
+        }
+    }
+
+    return {
+        seed,
+        cycles,
+        firstBreakDown,
+        understood: Object.values(state.memory.nodes).filter(node => node.understood).length,
+        maxDepth: graphDepth(state.memory),
+        idleCycles,
+        goalCycles: cycles - idleCycles,
+        idleShare: cycles > 0 ? idleCycles / cycles : 0,
+    };
+}
+
+// `onProgress(done, total)` is called after every run.
+export function runBatch({ startSeed, seeds, cycles, params }, onProgress = () => {}) {
+    const results = [];
+    for (let i = 0; i < seeds; i++) {
+        results.push(runExperiment(startSeed + i, cycles, params));
+        onProgress(i + 1, seeds);
+    }
+    return results;
+}
+
+export function summarise(values) {
+    const present = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+    if (present.length === 0) {
+        return { count: 0, missing: values.length, mean: null, median: null, min: null, max: null };
+    }
+    const middle = Math.floor(present.length / 2);
+    return {
+        count: present.length,
+        missing: values.length - present.length,
+        mean: present.reduce((sum, v) => sum + v, 0) / present.length,
+        median: present.length % 2 ? present[middle] : (present[middle - 1] + present[middle]) / 2,
+        min: present[0],
+        max: present[present.length - 1],
+    };
+}
+
+// Equal-width bins over the observed range; integer-valued metrics get one bin per value
+// when the range is small enough.
+export function histogram(values, maxBins = 12) {
+    const present = values.filter(v => v !== null && v !== undefined);
+    if (present.length === 0) return { labels: [], counts: [] };
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+    const integers = present.every(Number.isInteger);
+    const range = max - min + 1;
+    const width = integers ? Math.ceil(range / Math.min(maxBins, range)) : (max - min) / maxBins || 1;
+    const binCount = integers ? Math.ceil(range / width) : (min === max ? 1 : maxBins);
+
+    const counts = new Array(binCount).fill(0);
+    present.forEach(v => {
+        counts[Math.min(binCount - 1, Math.floor((v - min) / width))]++;
+    });
+    const labels = counts.map((_, i) => {
+        const from = min + i * width;
+        if (integers) {
+            const to = Math.min(max, from + width - 1);
+            return from === to ? String(from) : `${from}–${to}`;
+        }
+        return `${from.toFixed(2)}–${(from + width).toFixed(2)}`;
+    });
+    return { labels, counts };
+}
+
+export function resultsToCsv(results) {
+    const columns = ['seed', 'cycles', 'firstBreakDown', 'understood', 'maxDepth', 'idleCycles', 'goalCycles'];
+    const rows = results.map(result => columns.map(column => result[column] ?? '').join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
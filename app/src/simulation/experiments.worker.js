@@ -0,0 +1,13 @@
+/* eslint-disable no-restricted-globals */
+import { runBatch } from './experiments';
+
+// Messages in: { config } as accepted by runBatch.
+// Messages out: { type: 'progress', done, total } and finally { type: 'done', results }.
+self.onmessage = ({ data }) => {
+    const results = runBatch(data.config, (done, total) => {
+        if (done % 5 === 0 || done === total) {
+            self.postMessage({ type: 'progress', done, total });
+        }
+    });
+    self.postMessage({ type: 'done', results });
+};
@@ -0,0 +1,303 @@
+// --- Goal Types ---
+// Every goal the loop can pursue is described by a string such as
+// "Deepen understanding of the concept: 'knowledge'". A goal type knows how to recognise
+// its goals, how to write a new one for a concept, and how to work on one for a cycle.
+//
+// `handle(ctx)` mutates `ctx.state` (the next sim state, already cloned) and reports
+// through `ctx.emit(message, type, extra)` (see thoughtLog.js). It is also responsible
+// for taking its goal off the front of `state.goals.active` once the goal is finished
+// or replaced. The context is `{ state, goal, concept, params, rng, emit, options }`.
+//
+// --- Goal Tree ---
+// Goals themselves are objects:
+//
+//   { id, text, type, concept, parent, status, attempts, history }
+//
+// `parent` is the id of the goal that gave rise to this one, `attempts` counts the cycles
+// spent on it and `history` lists its status changes as { cycle, status }. A goal's
+// status says which list of `state.goals` holds it: `active` (the queue the workspace
+// picks from), `blocked` (waiting for its sub-goals) or `completed`. Breaking a concept
+// down blocks the goal that got stuck on it; once all of a blocked goal's children are
+// complete it completes too, and its concept counts as understood.
+
+import { findContradictions, getBeliefs, resolveConflicts } from './beliefs';
+import { buildPrompt, stochasticBackend } from './reasoning';
+
+// Concepts the expand goal can discover. Names that already exist in memory are
+// skipped; once the list runs out, numbered "related" concepts are made up instead.
+const NOVEL_CONCEPTS = [
+    'perception', 'attention', 'emotion', 'language', 'identity', 'ethics', 'logic',
+    'intuition', 'causality', 'time', 'meaning', 'learning', 'imagination', 'doubt',
+    'truth', 'agency', 'self-awareness', 'memory', 'curiosity', 'communication',
+];
+
+const EXPAND_COUNT = 2;
+
+export const setGoalStatus = (state, goal, status) => {
+    goal.status = status;
+    goal.history.push({ cycle: state.cycle || 0, status });
+};
+
+// Takes the goal at the front of the queue off it and sets it aside until its sub-goals
+// are done.
+const blockGoal = (state) => {
+    const goal = state.goals.active.shift();
+    setGoalStatus(state, goal, 'blocked');
+    state.goals.blocked.push(goal);
+    return goal;
+};
+
+const finishGoal = (state, goal, emit) => {
+    setGoalStatus(state, goal, 'completed');
+    state.goals.completed.push(goal);
+
+    const parent = state.goals.blocked.find(g => g.id === goal.parent);
+    if (!parent || allGoals(state.goals).some(g => g.parent === parent.id && g.status !== 'completed')) return;
+    state.goals.blocked = state.goals.blocked.filter(g => g !== parent);
+    const node = parent.concept && state.memory.nodes[parent.concept];
+    if (node && !node.understood) {
+        node.understood = true;
+        emit(`Every part of '${parent.concept}' is understood, so '${parent.concept}' is understood too.`, 'success');
+    }
+    finishGoal(state, parent, emit);
+};
+
+// Moves the goal at the front of the queue to the completed goals; goal types call this
+// once their goal is done.
+export const completeGoal = (state, emit) => {
+    finishGoal(state, state.goals.active.shift(), emit);
+};
+
+// Blocks the deepen goal at the front of the queue behind breaking its concept down,
+// which also relieves the confusion that led here.
+export const breakDownInstead = (state, concept, emit) => {
+    emit(`New Strategy: Break down the concept.`);
+    const stuck = blockGoal(state);
+    state.goals.active.unshift(createGoal(state, 'breakDown', concept, stuck.id));
+    state.state.pain = 0;
+    state.painSource = null;
+};
+
+const deepen = {
+    pattern: /^Deepen understanding of the concept: '(.*)'$/,
+    create: (concept) => `Deepen understanding of the concept: '${concept}'`,
+    needsReasoning: true,
+    handle: ({ state, concept, params, rng, emit, options }) => {
+        const outcome = options.reasoning || stochasticBackend.reason({
+            prompt: buildPrompt(concept),
+            concept,
+            simState: state,
+            rng,
+        });
+        // The stochastic stub has no raw response; every backend has a prompt and a verdict.
+        emit('Prompt:', 'info', { detail: outcome.prompt });
+        if (outcome.raw !== null && outcome.raw !== undefined) {
+            emit('Raw response:', 'info', { detail: outcome.raw });
+        }
+        emit(`Validation: ${outcome.verdict}`, outcome.valid ? 'info' : 'warn');
+
+        if (!outcome.valid) {
+            emit(`LLM response malformed. Rejecting thought.`, 'warn');
+            state.state.pain = Math.min(100, state.state.pain + params.painPerFailure);
+            state.painSource = concept;
+            if (state.state.pain >= params.painThreshold) {
+                emit(`Pain threshold reached for '${concept}'. This is too difficult.`, 'critical');
+                breakDownInstead(state, concept, emit);
+            }
+            return;
+        }
+
+        emit(`Successfully understood '${concept}'. Storing memory.`, 'success');
+        state.memory.nodes[concept].understood = true;
+        if (outcome.description) {
+            state.memory.nodes[concept].description = outcome.description;
+        }
+        const goal = state.goals.active[0];
+        completeGoal(state, emit);
+        state.state.pain = Math.max(0, state.state.pain - params.painReliefOnSuccess);
+        if (outcome.description) {
+            storeBelief(state, goal, outcome.description, params, emit);
+        }
+    },
+};
+
+// Records a new understanding as a learned belief and checks it against everything
+// already held. A contradiction raises conflict pain and queues a resolve goal; past the
+// conflict threshold, resolving conflicts jumps ahead of every other goal.
+const storeBelief = (state, { concept, id }, statement, params, emit) => {
+    const beliefs = getBeliefs(state);
+    const contradictions = findContradictions(beliefs, statement);
+    state.beliefs = { ...beliefs, learned: [...beliefs.learned, { concept, statement, cycle: state.cycle }] };
+    if (contradictions.length === 0) return;
+
+    contradictions.forEach(held => {
+        emit(`Contradiction: '${statement}' conflicts with ${held.axiom ? 'axiom' : 'belief'} '${held.statement}'.`, 'warn');
+    });
+    state.state.conflict = Math.min(100, (state.state.conflict || 0) + params.conflictPerContradiction);
+    if (!state.goals.active.some(g => g.type === 'resolve' && g.concept === concept)) {
+        state.goals.active.push(createGoal(state, 'resolve', concept, id));
+    }
+    if (state.state.conflict >= params.conflictThreshold) {
+        emit(`Conflict pain threshold reached. Setting other goals aside to resolve contradictions.`, 'critical');
+        const isResolve = (g) => g.type === 'resolve';
+        state.goals.active = [...state.goals.active.filter(isResolve), ...state.goals.active.filter(g => !isResolve(g))];
+    }
+};
+
+const resolve = {
+    pattern: /^Resolve conflict over '(.*)'$/,
+    create: (concept) => `Resolve conflict over '${concept}'`,
+    handle: ({ state, concept, params, emit }) => {
+        const { beliefs, retracted } = resolveConflicts(getBeliefs(state), concept);
+        state.beliefs = beliefs;
+        completeGoal(state, emit);
+        if (retracted.length === 0) {
+            emit(`No remaining conflict over '${concept}'.`);
+            return;
+        }
+        retracted.forEach(belief => {
+            emit(`Resolved conflict over '${concept}': retracted '${belief.statement}'.`, 'success');
+            const node = state.memory.nodes[belief.concept];
+            if (node && node.description === belief.statement) {
+                delete node.description;
+            }
+        });
+        state.state.conflict = Math.max(0, (state.state.conflict || 0) - params.conflictReliefOnResolve);
+    },
+};
+
+const breakDown = {
+    pattern: /^Break down the concept: '(.*)'$/,
+    create: (concept) => `Break down the concept: '${concept}'`,
+    // In shared memory another agent may have broken the concept down already: its
+    // sub-concepts are kept as they are and only the ones not yet understood get goals.
+    handle: ({ state, concept, emit }) => {
+        emit(`Successfully broke down '${concept}'.`, 'success');
+        const subConcepts = [`${concept}-A`, `${concept}-B`];
+        const { nodes, links } = state.memory;
+        const known = subConcepts.filter(sc => nodes[sc]);
+        emit(known.length === 0
+            ? `New sub-concepts discovered: ${subConcepts.join(', ')}`
+            : `Sub-concepts already in memory: ${known.join(', ')}`);
+        const parentNode = nodes[concept];
+        subConcepts.forEach((sc, i) => {
+            if (!nodes[sc]) {
+                nodes[sc] = {
+                    x: parentNode.x + ((subConcepts.length - 1 - i) * 15 - 10),
+                    y: parentNode.y + 25,
+                    understood: false
+                };
+            }
+            if (!links.some(l => l.source === concept && l.target === sc)) {
+                links.push({ source: concept, target: sc });
+            }
+        });
+
+        const pending = subConcepts.filter(sc => !nodes[sc].understood);
+        if (pending.length === 0) {
+            parentNode.understood = true;
+            emit(`Every part of '${concept}' is understood, so '${concept}' is understood too.`, 'success');
+            completeGoal(state, emit);
+            return;
+        }
+        const goal = blockGoal(state);
+        pending.reverse().forEach(sc => state.goals.active.unshift(createGoal(state, 'deepen', sc, goal.id)));
+    },
+};
+
+const expand = {
+    pattern: /^Expand knowledge from '(.*)'$/,
+    create: (concept) => `Expand knowledge from '${concept}'`,
+    handle: ({ state, goal, concept, rng, emit }) => {
+        const { nodes, links } = state.memory;
+        const candidates = NOVEL_CONCEPTS.filter(name => !nodes[name]);
+        const discovered = [];
+        while (discovered.length < EXPAND_COUNT && candidates.length > 0) {
+            discovered.push(candidates.splice(Math.floor(rng() * candidates.length), 1)[0]);
+        }
+        for (let n = 1; discovered.length < EXPAND_COUNT; n++) {
+            const name = `${concept}-related-${n}`;
+            if (!nodes[name]) discovered.push(name);
+        }
+
+        const origin = nodes[concept] || { x: 50, y: 50 };
+        discovered.forEach((name, i) => {
+            nodes[name] = {
+                x: Math.min(95, Math.max(5, origin.x + (i * 30 - 15))),
+                y: Math.min(95, Math.max(5, origin.y + 20)),
+                understood: false,
+            };
+            links.push({ source: concept, target: name });
+        });
+        completeGoal(state, emit);
+        discovered.forEach(name => state.goals.active.push(createGoal(state, 'deepen', name, goal.id)));
+        emit(`Expanded knowledge from '${concept}'. New neighbours: ${discovered.join(', ')}`, 'success');
+    },
+};
+
+export const GOAL_TYPES = { deepen, breakDown, expand, resolve };
+
+// Adds (or replaces) a goal type; see the module comment for the expected shape.
+export const registerGoalType = (id, definition) => {
+    GOAL_TYPES[id] = definition;
+};
+
+// Returns { type, concept } for a recognised goal, or null.
+export const parseGoal = (goal) => {
+    if (typeof goal !== 'string') return null;
+    for (const [type, definition] of Object.entries(GOAL_TYPES)) {
+        const match = goal.match(definition.pattern);
+        if (match) return { type, concept: match[1] };
+    }
+    return null;
+};
+
+export const makeGoal = (type, concept) => GOAL_TYPES[type].create(concept);
+
+export const allGoals = (goals) => [...goals.active, ...goals.blocked, ...goals.completed];
+
+const goalObject = (id, text, parent, status, cycle) => {
+    const parsed = parseGoal(text);
+    return {
+        id,
+        text,
+        type: parsed ? parsed.type : null,
+        concept: parsed ? parsed.concept : null,
+        parent,
+        status,
+        attempts: 0,
+        history: [{ cycle, status }],
+    };
+};
+
+// A new active goal described by `text`; the caller decides where it goes in the queue.
+export function goalFromText(state, text, parent = null) {
+    const goal = goalObject(state.goals.nextId, text, parent, 'active', state.cycle || 0);
+    state.goals.nextId += 1;
+    return goal;
+}
+
+export const createGoal = (state, type, concept, parent = null) => goalFromText(state, makeGoal(type, concept), parent);
+
+// Goals from plain strings, as hizawye_ai.py writes them to goals.json. Unrecognised
+// strings are kept (with a null type) so the engine can report and skip them.
+export function createGoals(active = [], completed = [], cycle = 0) {
+    const goals = [
+        ...active.map((text, i) => goalObject(i + 1, text, null, 'active', cycle)),
+        ...completed.map((text, i) => goalObject(active.length + i + 1, text, null, 'completed', cycle)),
+    ];
+    return {
+        active: goals.filter(g => g.status === 'active'),
+        blocked: [],
+        completed: goals.filter(g => g.status === 'completed'),
+        nextId: goals.length + 1,
+    };
+}
+
+// The goals of a sim state; states saved before goals were objects hold plain strings.
+export const getGoals = (simState) => {
+    const { goals } = simState;
+    if (goals.blocked && goals.nextId) return goals;
+    return createGoals(goals.active, goals.completed, simState.cycle || 0);
+};
+
@@ -0,0 +1,128 @@
+// --- Run History ---
+// Every cycle's resulting state is kept together with the events that produced it, so
+// the dashboard can step back through a run and show the log as it was at that point.
+// `index` is the entry currently being viewed; running a cycle from an earlier entry
+// discards everything after it, like an undo stack. Events are stamped with the time
+// they were recorded here, since the engine itself never reads the clock.
+//
+// Only the last HISTORY_LIMIT entries are kept, but `log` keeps every event of the run
+// (as logItems() gives them) so the thought log never loses its beginning. A log item's
+// `frame` counts entries from the start of the run; `offset` is how many entries have
+// been trimmed since. Entries share the goals completed before them (see step() in
+// engine.js), so a long run costs memory for its open goals only.
+
+import { logItems, stampEvents } from './thoughtLog';
+
+export const HISTORY_LIMIT = 1000;
+
+export function createHistory(state, events = [], now = Date.now()) {
+    const stamped = stampEvents(events, now);
+    return {
+        entries: [{ state, events: stamped }],
+        index: 0,
+        offset: 0,
+        log: logItems([{ state, events: stamped }]),
+    };
+}
+
+// Histories saved before the log was kept apart hold their events in the entries only.
+const fullLog = (history) => history.log || logItems(history.entries);
+
+// Adds `events` logged in the entry at `frame` (counted from the start of the run) after
+// everything logged up to that entry.
+const logAt = (log, frame, cycle, events) => {
+    const later = log.findIndex(item => item.frame > frame);
+    const at = later === -1 ? log.length : later;
+    const items = logItems([{ state: { cycle }, events }]).map(item => ({ ...item, frame }));
+    return [...log.slice(0, at), ...items, ...log.slice(at)];
+};
+
+// The whole log of the run, oldest first, with `frame` the index of the entry each item
+// was logged in, as the dashboard jumps to it. Items of trimmed entries get a negative one.
+export const runLog = (history) => {
+    const offset = history.offset || 0;
+    return fullLog(history).map(item => ({ ...item, frame: item.frame - offset }));
+};
+
+export const currentEntry = (history) => history.entries[history.index];
+
+export function pushEntry(history, entry, now = Date.now()) {
+    const offset = history.offset || 0;
+    const frame = offset + history.index + 1;
+    const events = stampEvents(entry.events, now);
+    const entries = [...history.entries.slice(0, history.index + 1), { ...entry, events }];
+    const dropped = Math.max(0, entries.length - HISTORY_LIMIT);
+    const branched = history.index < history.entries.length - 1;
+    const log = branched ? fullLog(history).filter(item => item.frame < frame) : fullLog(history);
+    return {
+        entries: entries.slice(dropped),
+        index: entries.length - dropped - 1,
+        offset: offset + dropped,
+        log: logAt(log, frame, entry.state.cycle, events),
+    };
+}
+
+export const moveTo = (history, index) => ({
+    ...history,
+    index: Math.max(0, Math.min(history.entries.length - 1, index)),
+});
+
+// The log as it stood at the viewed entry.
+export const eventsUntil = (history, index = history.index) => history.entries
+    .slice(0, index + 1)
+    .flatMap(entry => entry.events);
+
+// Stop conditions for "run until": the cycle that produced `entry` from `previous`
+// either logged a critical event or completed a goal.
+export const STOP_CONDITIONS = {
+    critical: (previous, entry) => entry.events.some(event => event.type === 'critical'),
+    goal: (previous, entry) => entry.state.goals.completed.length > previous.goals.completed.length,
+};
+
+// The history as a saved session stores it: the last `limit` entries up to the viewed
+// one, and the completed goals once. Each entry keeps only the number of the viewed
+// entry's completed goals it had, unless its own list is not where they started (a mind
+// file import replaces the goals, for example). The log is kept up to the viewed entry.
+export function packHistory(history, limit) {
+    const offset = history.offset || 0;
+    const start = Math.max(0, history.index + 1 - limit);
+    const entries = history.entries.slice(start, history.index + 1);
+    const completedGoals = entries[entries.length - 1].state.goals.completed;
+    const isShared = (goals) => goals.every((goal, i) => goal === completedGoals[i]
+        || (goal.id !== undefined && goal.id === completedGoals[i]?.id));
+    return {
+        entries: entries.map(entry => {
+            const { goals } = entry.state;
+            if (!isShared(goals.completed)) return entry;
+            return { ...entry, state: { ...entry.state, goals: { ...goals, completed: goals.completed.length } } };
+        }),
+        index: entries.length - 1,
+        offset: offset + start,
+        log: fullLog(history).filter(item => item.frame <= offset + history.index),
+        completedGoals,
+    };
+}
+
+// Undoes packHistory(); histories saved before it are returned as they are.
+export function unpackHistory(saved) {
+    if (!saved.completedGoals) return saved;
+    const { completedGoals, ...history } = saved;
+    return {
+        ...history,
+        entries: history.entries.map(entry => {
+            const { goals } = entry.state;
+            if (typeof goals.completed !== 'number') return entry;
+            return { ...entry, state: { ...entry.state, goals: { ...goals, completed: completedGoals.slice(0, goals.completed) } } };
+        }),
+    };
+}
+
+// Adds events to the viewed entry without creating a new state (e.g. a backend error).
+export function appendEvents(history, events, now = Date.now()) {
+    const entries = [...history.entries];
+    const entry = entries[history.index];
+    const stamped = stampEvents(events, now);
+    entries[history.index] = { ...entry, events: [...entry.events, ...stamped] };
+    const frame = (history.offset || 0) + history.index;
+    return { ...history, entries, log: logAt(fullLog(history), frame, entry.state.cycle, stamped) };
+}
@@ -0,0 +1,61 @@
+// --- Memory Decay & Reinforcement ---
+// Every node and link in memory carries a `strength` between 0 and 1 (missing means 1).
+// Each cycle everything weakens a little, while the concept the mind is on and the link
+// it moved along are reinforced. Understood concepts that fade below the forgetting
+// threshold become "not understood" again and get a new deepen goal; links that fade
+// below the pruning threshold are removed.
+
+import { createGoal } from './goals';
+
+export const strengthOf = (item) => (typeof item.strength === 'number' ? item.strength : 1);
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const linkBetween = (links, a, b) => links.find(l => (
+    (l.source === a && l.target === b) || (l.source === b && l.target === a)
+));
+
+// `previousFocus` is where the mind was at the start of the cycle; `state` is the next
+// sim state and is updated in place.
+export function applyMemoryDynamics(state, previousFocus, params, emit) {
+    const { nodes } = state.memory;
+    const decay = params.memoryDecay;
+
+    Object.values(nodes).forEach(node => {
+        node.strength = round(clamp(strengthOf(node) - decay));
+    });
+    state.memory.links.forEach(link => {
+        link.strength = round(clamp(strengthOf(link) - decay));
+    });
+
+    const focusNode = nodes[state.focus];
+    if (focusNode) {
+        focusNode.strength = round(clamp(focusNode.strength + params.reinforcement));
+    }
+    if (previousFocus && previousFocus !== state.focus) {
+        const traversed = linkBetween(state.memory.links, previousFocus, state.focus);
+        if (traversed) {
+            traversed.strength = round(clamp(traversed.strength + params.reinforcement));
+        }
+    }
+
+    Object.entries(nodes).forEach(([id, node]) => {
+        if (!node.understood || node.strength >= params.forgetThreshold) return;
+        node.understood = false;
+        emit(`Memory of '${id}' has faded. It is no longer understood.`, 'warn');
+        if (!state.goals.active.some(goal => goal.type === 'deepen' && goal.concept === id)) {
+            state.goals.active.push(createGoal(state, 'deepen', id));
+        }
+    });
+
+    const kept = [];
+    state.memory.links.forEach(link => {
+        if (link.strength < params.pruneThreshold) {
+            emit(`Weak connection '${link.source}' → '${link.target}' pruned.`);
+        } else {
+            kept.push(link);
+        }
+    });
+    state.memory.links = kept;
+}
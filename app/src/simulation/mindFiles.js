@@ -0,0 +1,258 @@
+import { getBeliefs } from './beliefs';
+import { createGoals } from './goals';
+
+// --- Mind Files ---
+// Converts between the files a real hizawye_ai.py run keeps on disk and the sim state:
+// - state.json:   { curiosity, boredom, pain } drive values (0-100), optionally a `focus`
+//                 and the sim's `conflict` pain (`pain` is confusion pain).
+// - beliefs.json: { axioms: [...] } or a bare array of axiom strings, optionally with the
+//                 sim's `learned` beliefs ({ concept, statement, cycle }).
+// - goals.json:   { active: [...], completed: [...] } goal strings (the sim's goal
+//                 objects keep only their text).
+// - graph.json:   a networkx node-link export (`nx.node_link_data`). A node with a
+//                 `description` attribute counts as understood; optional `x`/`y`
+//                 attributes keep its position on the memory map and `strength` (on
+//                 nodes and links) its memory strength.
+
+const DRIVES = ['curiosity', 'boredom', 'pain'];
+const OPTIONAL_DRIVES = ['conflict'];
+
+export const MIND_FILE_NAMES = ['state.json', 'beliefs.json', 'goals.json', 'graph.json'];
+
+export class MindFileError extends Error {
+    constructor(fileName, message) {
+        super(`${fileName}: ${message}`);
+        this.name = 'MindFileError';
+        this.fileName = fileName;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const expectStringList = (fileName, value, field) => {
+    if (!Array.isArray(value)) {
+        throw new MindFileError(fileName, `"${field}" must be an array.`);
+    }
+    value.forEach((item, i) => {
+        if (typeof item !== 'string' || !item.trim()) {
+            throw new MindFileError(fileName, `"${field}[${i}]" must be a non-empty string.`);
+        }
+    });
+    return value;
+};
+
+export const parseStateFile = (data, fileName = 'state.json') => {
+    if (!isPlainObject(data)) {
+        throw new MindFileError(fileName, 'expected an object of drive values.');
+    }
+    const drives = {};
+    [...DRIVES, ...OPTIONAL_DRIVES].forEach(drive => {
+        const value = data[drive];
+        if (value === undefined && OPTIONAL_DRIVES.includes(drive)) return;
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new MindFileError(fileName, `"${drive}" must be a number.`);
+        }
+        if (value < 0 || value > 100) {
+            throw new MindFileError(fileName, `"${drive}" must be between 0 and 100 (got ${value}).`);
+        }
+        drives[drive] = value;
+    });
+    const focus = data.focus ?? data.current_focus;
+    if (focus !== undefined && typeof focus !== 'string') {
+        throw new MindFileError(fileName, '"focus" must be a string.');
+    }
+    return { drives, focus };
+};
+
+const parseLearnedBeliefs = (fileName, value) => {
+    if (!Array.isArray(value)) {
+        throw new MindFileError(fileName, '"learned" must be an array.');
+    }
+    return value.map((belief, i) => {
+        if (!isPlainObject(belief) || typeof belief.concept !== 'string' || typeof belief.statement !== 'string' || !belief.statement.trim()) {
+            throw new MindFileError(fileName, `"learned[${i}]" must have a "concept" and a non-empty "statement".`);
+        }
+        return { concept: belief.concept, statement: belief.statement, cycle: Number.isInteger(belief.cycle) ? belief.cycle : 0 };
+    });
+};
+
+// Returns { axioms, learned }.
+export const parseBeliefsFile = (data, fileName = 'beliefs.json') => {
+    if (Array.isArray(data)) {
+        return { axioms: expectStringList(fileName, data, 'beliefs'), learned: [] };
+    }
+    if (isPlainObject(data) && data.axioms !== undefined) {
+        return {
+            axioms: expectStringList(fileName, data.axioms, 'axioms'),
+            learned: data.learned === undefined ? [] : parseLearnedBeliefs(fileName, data.learned),
+        };
+    }
+    throw new MindFileError(fileName, 'expected an "axioms" array.');
+};
+
+export const parseGoalsFile = (data, fileName = 'goals.json') => {
+    if (!isPlainObject(data)) {
+        throw new MindFileError(fileName, 'expected an object with "active" and "completed" lists.');
+    }
+    return {
+        active: expectStringList(fileName, data.active ?? [], 'active'),
+        completed: expectStringList(fileName, data.completed ?? [], 'completed'),
+    };
+};
+
+// Spreads nodes without a stored position around a circle, in the percentage
+// coordinates MemoryMap uses.
+const circlePosition = (index, count) => {
+    const angle = (2 * Math.PI * index) / Math.max(count, 1) - Math.PI / 2;
+    return {
+        x: Math.round(50 + 40 * Math.cos(angle)),
+        y: Math.round(50 + 40 * Math.sin(angle)),
+    };
+};
+
+const strengthAttribute = (item) => (
+    typeof item.strength === 'number' && item.strength >= 0 && item.strength <= 1 ? { strength: item.strength } : {}
+);
+
+export const parseGraphFile = (data, fileName = 'graph.json') => {
+    if (!isPlainObject(data) || !Array.isArray(data.nodes)) {
+        throw new MindFileError(fileName, 'expected a networkx node-link object with a "nodes" array.');
+    }
+    const rawLinks = data.links ?? data.edges ?? [];
+    if (!Array.isArray(rawLinks)) {
+        throw new MindFileError(fileName, '"links" must be an array.');
+    }
+
+    // Without a prototype, ids such as `constructor` or `__proto__` are ordinary keys.
+    const nodes = Object.create(null);
+    data.nodes.forEach((node, i) => {
+        if (!isPlainObject(node) || node.id === undefined || node.id === null || node.id === '') {
+            throw new MindFileError(fileName, `node ${i} has no "id".`);
+        }
+        const id = String(node.id);
+        if (Object.hasOwn(nodes, id)) {
+            throw new MindFileError(fileName, `duplicate node "${id}".`);
+        }
+        const hasPosition = typeof node.x === 'number' && typeof node.y === 'number';
+        nodes[id] = {
+            ...(hasPosition ? { x: node.x, y: node.y } : circlePosition(i, data.nodes.length)),
+            understood: typeof node.description === 'string' && node.description.trim() !== '',
+            ...(typeof node.description === 'string' ? { description: node.description } : {}),
+            ...strengthAttribute(node),
+        };
+    });
+
+    const links = rawLinks.map((link, i) => {
+        if (!isPlainObject(link)) {
+            throw new MindFileError(fileName, `link ${i} must be an object.`);
+        }
+        const source = String(link.source);
+        const target = String(link.target);
+        if (!Object.hasOwn(nodes, source) || !Object.hasOwn(nodes, target)) {
+            throw new MindFileError(fileName, `link ${i} references unknown node "${Object.hasOwn(nodes, source) ? target : source}".`);
+        }
+        return { source, target, ...strengthAttribute(link) };
+    });
+
+    return { nodes, links };
+};
+
+const detectKind = (fileName, data) => {
+    const baseName = fileName.split(/[\\/]/).pop().toLowerCase();
+    if (baseName === 'state.json') return 'state';
+    if (baseName === 'beliefs.json') return 'beliefs';
+    if (baseName === 'goals.json') return 'goals';
+    if (isPlainObject(data)) {
+        if (Array.isArray(data.nodes)) return 'graph';
+        if ('active' in data || 'completed' in data) return 'goals';
+        if ('axioms' in data) return 'beliefs';
+        if (DRIVES.some(drive => drive in data)) return 'state';
+    }
+    if (Array.isArray(data)) return 'beliefs';
+    return null;
+};
+
+// Makes sure every concept a goal or the focus points at exists in memory, so the
+// engine never looks up a node that an imported graph did not contain.
+const reconcile = (simState) => {
+    const { nodes } = simState.memory;
+    const concepts = simState.goals.active.map(goal => goal.concept).filter(Boolean);
+    const missing = [...new Set(concepts)].filter(concept => !Object.hasOwn(nodes, concept));
+    missing.forEach((concept, i) => {
+        nodes[concept] = { ...circlePosition(i, missing.length), understood: false };
+    });
+    if (!simState.focus || !Object.hasOwn(nodes, simState.focus)) {
+        simState.focus = concepts[0] || Object.keys(nodes)[0] || null;
+    }
+    return simState;
+};
+
+// `files` is a list of { name, text }. Files are applied on top of `simState`; a file
+// that fails validation is reported and skipped without affecting the others.
+export function importMindFiles(simState, files) {
+    const next = JSON.parse(JSON.stringify(simState));
+    const errors = [];
+    const loaded = [];
+    let importedFocus;
+
+    files.forEach(({ name, text }) => {
+        try {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                throw new MindFileError(name, `invalid JSON (${e.message}).`);
+            }
+            const kind = detectKind(name, data);
+            if (kind === 'state') {
+                const { drives, focus } = parseStateFile(data, name);
+                next.state = { ...next.state, ...drives };
+                importedFocus = focus ?? importedFocus;
+            } else if (kind === 'beliefs') {
+                next.beliefs = parseBeliefsFile(data, name);
+            } else if (kind === 'goals') {
+                const { active, completed } = parseGoalsFile(data, name);
+                next.goals = createGoals(active, completed, next.cycle);
+            } else if (kind === 'graph') {
+                next.memory = parseGraphFile(data, name);
+            } else {
+                throw new MindFileError(name, 'not recognised as state, beliefs, goals or graph data.');
+            }
+            loaded.push({ name, kind });
+        } catch (e) {
+            if (!(e instanceof MindFileError)) throw e;
+            errors.push(e.message);
+        }
+    });
+
+    if (importedFocus !== undefined) {
+        next.focus = importedFocus;
+    }
+    return { state: reconcile(next), loaded, errors };
+}
+
+export function exportMindFiles(simState) {
+    const { nodes, links } = simState.memory;
+    return {
+        'state.json': { ...simState.state, focus: simState.focus },
+        'beliefs.json': getBeliefs(simState),
+        // hizawye_ai.py has no blocked goals; they are still to be done, so they export as active.
+        'goals.json': {
+            active: [...simState.goals.active, ...simState.goals.blocked].map(goal => goal.text),
+            completed: simState.goals.completed.map(goal => goal.text),
+        },
+        'graph.json': {
+            directed: true,
+            multigraph: false,
+            graph: {},
+            nodes: Object.entries(nodes).map(([id, node]) => ({
+                id,
+                x: node.x,
+                y: node.y,
+                ...strengthAttribute(node),
+                ...(node.understood ? { description: node.description || 'Understood in simulation.' } : {}),
+            })),
+            links: links.map(link => ({ source: link.source, target: link.target, ...strengthAttribute(link) })),
+        },
+    };
+}
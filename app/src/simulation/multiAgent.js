@@ -0,0 +1,160 @@
+// --- Multi-Agent Worlds ---
+// Several Hizawye agents running side by side, each a full sim state with its own
+// drives, goals, beliefs and random source:
+//
+//   { cycle, mode, collaboration, agents: [{ id, name, color, state }] }
+//
+// In `shared` mode every agent works on one memory graph: each turn starts from the
+// graph the previous agent left behind, and the graph decays at the single-agent rate
+// per world cycle (each agent's turn applies its share of the decay). In `separate` mode
+// every agent has a graph of its own and knowledge only moves through `communicate`.
+//
+// When an agent understands a concept another agent is trying to understand (the other
+// agent's front goal is about it), the other agent's confusion pain drops by
+// `collaboration.relief`. In shared mode that happens as soon as the concept is
+// understood; in separate mode when it is communicated. With `communicateEvery` above 0,
+// separate agents also tell each other everything every that many cycles.
+
+import { advance, advanceWith, createInitialState } from './engine';
+import { allGoals } from './goals';
+import { DEFAULT_PARAMS } from './params';
+import { logEvent } from './thoughtLog';
+
+export const AGENT_COLORS = ['#4f46e5', '#d97706', '#059669', '#db2777'];
+export const MAX_AGENTS = AGENT_COLORS.length;
+
+export const DEFAULT_COLLABORATION = { relief: 25, communicateEvery: 0 };
+
+const understoodSet = (simState) => new Set(Object.keys(simState.memory.nodes)
+    .filter(id => simState.memory.nodes[id].understood));
+
+export function createWorld({ seed = 42, params = DEFAULT_PARAMS, count = 2, mode = 'shared', collaboration = DEFAULT_COLLABORATION } = {}) {
+    const agentParams = mode === 'shared' ? { ...params, memoryDecay: params.memoryDecay / count } : params;
+    const agents = Array.from({ length: count }, (_, i) => {
+        const id = String.fromCharCode(65 + i);
+        return { id, name: `Agent ${id}`, color: AGENT_COLORS[i], state: createInitialState(seed + i, agentParams) };
+    });
+    if (mode === 'shared') {
+        agents.forEach(agent => { agent.state.memory = agents[0].state.memory; });
+    }
+    return { cycle: 0, mode, collaboration: { ...DEFAULT_COLLABORATION, ...collaboration }, agents };
+}
+
+const tag = (agent, events) => events.map(event => ({ ...event, agent: agent.id }));
+
+// Eases the confusion of each of `agents` (other than `from`) whose front goal is about
+// one of `concepts`.
+const relieve = (world, from, concepts, events, agents = world.agents) => {
+    if (world.collaboration.relief <= 0) return;
+    agents.forEach(agent => {
+        const goal = agent.state.goals.active[0];
+        if (agent === from || !goal || !concepts.includes(goal.concept) || agent.state.state.pain === 0) return;
+        const pain = Math.max(0, agent.state.state.pain - world.collaboration.relief);
+        agent.state = { ...agent.state, state: { ...agent.state.state, pain } };
+        events.push(...tag(agent, [logEvent(agent.state, 'success', `${from.name} understood '${goal.concept}'. Confusion over it eases.`)]));
+    });
+};
+
+// Records agent `index`'s turn `result` ({ state, events }) on `next`.
+const applyTurn = (next, index, result, events) => {
+    const agent = next.agents[index];
+    const before = understoodSet(agent.state);
+    agent.state = result.state;
+    events.push(...tag(agent, result.events));
+    if (next.mode !== 'shared') return;
+    next.agents.forEach(other => {
+        if (other !== agent) other.state = { ...other.state, memory: result.state.memory };
+    });
+    const learned = [...understoodSet(result.state)].filter(id => !before.has(id));
+    if (learned.length > 0) relieve(next, agent, learned, events);
+};
+
+const finishCycle = (next, events) => {
+    next.cycle += 1;
+    const { communicateEvery } = next.collaboration;
+    if (next.mode === 'separate' && communicateEvery > 0 && next.cycle % communicateEvery === 0) {
+        let current = next;
+        next.agents.forEach((_, from) => next.agents.forEach((__, to) => {
+            if (from === to) return;
+            const result = communicate(current, from, to);
+            current = result.world;
+            if (result.taught.length > 0) events.push(...result.events);
+        }));
+        return { world: current, events };
+    }
+    return { world: next, events };
+};
+
+const cloneWorld = (world) => ({ ...world, agents: world.agents.map(agent => ({ ...agent })) });
+
+// One world cycle: every agent takes a turn, in order. Returns { world, events } with
+// each event tagged by `agent`, the id of the agent it belongs to.
+export function advanceWorld(world) {
+    const next = cloneWorld(world);
+    const events = [];
+    next.agents.forEach((agent, i) => applyTurn(next, i, advance(agent.state), events));
+    return finishCycle(next, events);
+}
+
+// Like `advanceWorld`, with `backend` answering each agent's reasoning requests.
+export async function advanceWorldWith(world, backend) {
+    const next = cloneWorld(world);
+    const events = [];
+    for (let i = 0; i < next.agents.length; i++) {
+        applyTurn(next, i, await advanceWith(next.agents[i].state, backend), events);
+    }
+    return finishCycle(next, events);
+}
+
+// Agent `from` tells agent `to` everything it understands that `to` does not: the
+// concepts (with their descriptions) and the links between them and what `to` knows.
+// Returns { world, events, taught }.
+export function communicate(world, from, to) {
+    const next = cloneWorld(world);
+    const sender = next.agents[from];
+    const receiver = next.agents[to];
+    const memory = JSON.parse(JSON.stringify(receiver.state.memory));
+    const taught = [...understoodSet(sender.state)].filter(id => !memory.nodes[id] || !memory.nodes[id].understood);
+
+    taught.forEach(id => {
+        const { x, y, description } = sender.state.memory.nodes[id];
+        memory.nodes[id] = { x, y, strength: 1, ...memory.nodes[id], understood: true, ...(description ? { description } : {}) };
+    });
+    const hasLink = (link) => memory.links.some(l => l.source === link.source && l.target === link.target);
+    sender.state.memory.links.forEach(link => {
+        const touches = taught.includes(link.source) || taught.includes(link.target);
+        if (touches && memory.nodes[link.source] && memory.nodes[link.target] && !hasLink(link)) {
+            memory.links.push({ source: link.source, target: link.target });
+        }
+    });
+    receiver.state = { ...receiver.state, memory };
+
+    if (taught.length === 0) {
+        return { world: next, events: tag(sender, [logEvent(sender.state, 'info', `Nothing new to tell ${receiver.name}.`)]), taught };
+    }
+    const names = taught.map(id => `'${id}'`).join(', ');
+    const events = [
+        ...tag(sender, [logEvent(sender.state, 'info', `Told ${receiver.name} about ${names}.`)]),
+        ...tag(receiver, [logEvent(receiver.state, 'success', `Learned ${names} from ${sender.name}.`)]),
+    ];
+    relieve(next, sender, taught, events, [receiver]);
+    return { world: next, events, taught };
+}
+
+// Stop conditions for autorun over worlds, like STOP_CONDITIONS in history.js.
+export const WORLD_STOP_CONDITIONS = {
+    critical: (previous, entry) => entry.events.some(event => event.type === 'critical'),
+    goal: (previous, entry) => entry.state.agents.some((agent, i) => (
+        agent.state.goals.completed.length > previous.agents[i].state.goals.completed.length
+    )),
+};
+
+// Per agent: how often it broke a concept down (its strategic failures) and how much it
+// understands, for comparing collaboration modes.
+export const summariseWorld = (world) => world.agents.map(agent => ({
+    id: agent.id,
+    name: agent.name,
+    color: agent.color,
+    breakDowns: allGoals(agent.state.goals).filter(goal => goal.type === 'breakDown').length,
+    understood: understoodSet(agent.state).size,
+}));
@@ -0,0 +1,119 @@
+// --- Simulation Parameters ---
+// The tunable constants of the consciousness loop, the named presets built from them,
+// and their encoding in the `#simulation?...` URL hash so an experiment can be shared.
+// The `pain*` parameters govern confusion pain; they keep their original names so
+// links shared before pain was split still decode.
+
+export const DEFAULT_PARAMS = {
+    failureRate: 0.25,
+    forcedFailurePain: 50,
+    painPerFailure: 25,
+    painThreshold: 80,
+    painReliefOnSuccess: 20,
+    boredomPerIdle: 15,
+    boredomThreshold: 75,
+    initialCuriosity: 65,
+    memoryDecay: 0.005,
+    reinforcement: 0.2,
+    forgetThreshold: 0.2,
+    pruneThreshold: 0.05,
+    contradictionRate: 0.1,
+    conflictPerContradiction: 40,
+    conflictThreshold: 70,
+    conflictReliefOnResolve: 40,
+    curiosityPerConcept: 5,
+    curiosityThreshold: 80,
+    curiosityCost: 30,
+};
+
+export const PARAM_DEFINITIONS = [
+    { key: 'failureRate', label: 'LLM failure rate', min: 0, max: 1, step: 0.05 },
+    { key: 'forcedFailurePain', label: 'Confusion above which every attempt fails', min: 0, max: 100, step: 5 },
+    { key: 'painPerFailure', label: 'Confusion pain per failure', min: 0, max: 100, step: 5 },
+    { key: 'painThreshold', label: 'Break-down confusion threshold', min: 1, max: 100, step: 5 },
+    { key: 'painReliefOnSuccess', label: 'Confusion relief on success', min: 0, max: 100, step: 5 },
+    { key: 'boredomPerIdle', label: 'Boredom per idle cycle', min: 0, max: 100, step: 5 },
+    { key: 'boredomThreshold', label: 'Novelty boredom threshold', min: 1, max: 100, step: 5 },
+    { key: 'initialCuriosity', label: 'Initial curiosity', min: 0, max: 100, step: 5 },
+    { key: 'memoryDecay', label: 'Memory decay per cycle', min: 0, max: 0.1, step: 0.005 },
+    { key: 'reinforcement', label: 'Reinforcement per visit', min: 0, max: 1, step: 0.05 },
+    { key: 'forgetThreshold', label: 'Forgetting threshold', min: 0, max: 1, step: 0.05 },
+    { key: 'pruneThreshold', label: 'Link pruning threshold', min: 0, max: 1, step: 0.05 },
+    { key: 'contradictionRate', label: 'Stub contradiction rate', min: 0, max: 1, step: 0.05 },
+    { key: 'conflictPerContradiction', label: 'Conflict pain per contradiction', min: 0, max: 100, step: 5 },
+    { key: 'conflictThreshold', label: 'Conflict pain threshold', min: 1, max: 100, step: 5 },
+    { key: 'conflictReliefOnResolve', label: 'Conflict relief on resolution', min: 0, max: 100, step: 5 },
+    { key: 'curiosityPerConcept', label: 'Curiosity per novel concept read', min: 0, max: 50, step: 1 },
+    { key: 'curiosityThreshold', label: 'Exploration curiosity threshold', min: 1, max: 100, step: 5 },
+    { key: 'curiosityCost', label: 'Curiosity spent per exploration', min: 0, max: 100, step: 5 },
+];
+
+export const PRESETS = {
+    default: { label: 'Default', params: DEFAULT_PARAMS },
+    fragile: {
+        label: 'Fragile LLM',
+        params: { ...DEFAULT_PARAMS, failureRate: 0.6, forcedFailurePain: 30, painPerFailure: 30, painReliefOnSuccess: 10 },
+    },
+    stoic: {
+        label: 'Stoic',
+        params: { ...DEFAULT_PARAMS, painPerFailure: 10, forcedFailurePain: 90, painThreshold: 95, painReliefOnSuccess: 30, boredomPerIdle: 5, boredomThreshold: 90 },
+    },
+    curious: {
+        label: 'Hyper-curious',
+        params: { ...DEFAULT_PARAMS, failureRate: 0.2, boredomPerIdle: 30, boredomThreshold: 45, initialCuriosity: 100 },
+    },
+};
+
+const clampParam = ({ min, max }, value) => Math.min(max, Math.max(min, value));
+
+// Fills in defaults for missing keys and clamps everything into its allowed range.
+export function normaliseParams(params = {}) {
+    const result = {};
+    PARAM_DEFINITIONS.forEach(definition => {
+        const value = Number(params[definition.key]);
+        result[definition.key] = Number.isFinite(value)
+            ? clampParam(definition, value)
+            : DEFAULT_PARAMS[definition.key];
+    });
+    return result;
+}
+
+export const getParams = (simState) => simState.params || DEFAULT_PARAMS;
+
+export const presetFor = (params) => Object.keys(PRESETS).find(id => (
+    PARAM_DEFINITIONS.every(({ key }) => PRESETS[id].params[key] === params[key])
+)) || null;
+
+export function encodeExperiment({ seed, params }) {
+    const query = new URLSearchParams({ seed: String(seed) });
+    PARAM_DEFINITIONS.forEach(({ key }) => query.set(key, String(params[key])));
+    return query.toString();
+}
+
+export const experimentHash = (experiment) => `#simulation?${encodeExperiment(experiment)}`;
+
+// Reads `seed` and parameters from the query part of a hash such as
+// `#simulation?seed=7&failureRate=0.6`. Returns null when the hash carries none.
+export function decodeExperiment(hash) {
+    const queryStart = hash.indexOf('?');
+    if (queryStart === -1) return null;
+    const query = new URLSearchParams(hash.slice(queryStart + 1));
+    const seed = Number.parseInt(query.get('seed'), 10);
+    const params = {};
+    PARAM_DEFINITIONS.forEach(({ key }) => {
+        if (query.has(key)) params[key] = query.get(key);
+    });
+    return {
+        seed: Number.isFinite(seed) ? seed >>> 0 : null,
+        params: normaliseParams(params),
+    };
+}
+
+// The experiment a hash shares when it is opened during a run of `current`, or null when
+// it shares none or the same one. A link without a seed keeps the current seed.
+export function sharedExperiment(hash, current) {
+    const shared = decodeExperiment(hash);
+    if (!shared) return null;
+    const experiment = { seed: shared.seed ?? current.seed, params: shared.params };
+    return encodeExperiment(experiment) === encodeExperiment(current) ? null : experiment;
+}
@@ -0,0 +1,155 @@
+import { getBeliefs, negateClaim, parseClaims } from './beliefs';
+import { getParams } from './params';
+
+// --- Reasoning Backends ---
+// The "Thinker" asks a reasoning core to explain the concept it is focused on. A backend
+// is an object `{ id, label, reason(request) }` where `request` is
+// `{ prompt, concept, simState, rng }` and `reason` returns (or resolves to) an outcome:
+//
+//   { valid, prompt, raw, verdict, description }
+//
+// An invalid outcome is what raises (confusion) pain; the description of a valid one is
+// stored as a learned belief and checked against the rest.
+
+export class ReasoningBackendError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReasoningBackendError';
+    }
+}
+
+const INSTRUCTION_MARKERS = [
+    'respond only with json',
+    'your task is',
+    'you are hizawye',
+    '<one or two sentences>',
+];
+
+export const buildPrompt = (concept) => [
+    'You are Hizawye, an AI trying to understand its own knowledge graph.',
+    `Your task is to explain the concept '${concept}' in your own words.`,
+    'Respond ONLY with JSON of the form {"description": "<one or two sentences>"}.',
+].join('\n');
+
+const extractJson = (raw) => {
+    const text = String(raw ?? '').trim();
+    const candidates = [text, (text.match(/\{[\s\S]*\}/) || [])[0]].filter(Boolean);
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch (e) {
+            // Try the next candidate.
+        }
+    }
+    return undefined;
+};
+
+// Mirrors the checks hizawye_ai.py had to grow: the response must contain a JSON object
+// with a non-empty description that is not just the instructions parroted back.
+export function validateResponse(raw) {
+    const parsed = extractJson(raw);
+    if (parsed === undefined || parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { valid: false, verdict: 'Malformed: no JSON object in response.' };
+    }
+    const description = typeof parsed.description === 'string' ? parsed.description.trim() : '';
+    if (!description) {
+        return { valid: false, verdict: 'Malformed: missing "description" field.' };
+    }
+    const lowered = description.toLowerCase();
+    if (INSTRUCTION_MARKERS.some(marker => lowered.includes(marker))) {
+        return { valid: false, verdict: 'Rejected: response echoes the instructions.' };
+    }
+    return { valid: true, verdict: 'Valid JSON with a description.', description };
+}
+
+// The original toy behaviour: a fixed failure rate, and certain failure once pain is
+// above a limit (25% and 50 by default). The top `contradictionRate` slice of the same
+// draw makes a successful thought deny something already believed about the concept.
+const contradictingDescription = (simState, concept, r, contradictionRate) => {
+    if (r < 1 - contradictionRate) return undefined;
+    const { axioms, learned } = getBeliefs(simState);
+    const claims = [...axioms, ...learned.map(belief => belief.statement)]
+        .flatMap(parseClaims)
+        .filter(claim => claim.subject === concept.toLowerCase());
+    if (claims.length === 0) return undefined;
+    const index = Math.min(claims.length - 1, Math.floor(((r - (1 - contradictionRate)) / contradictionRate) * claims.length));
+    return negateClaim(claims[index]);
+};
+
+export const stochasticBackend = {
+    id: 'stochastic',
+    label: 'Stochastic stub',
+    reason: ({ prompt, concept, simState, rng }) => {
+        const { failureRate, forcedFailurePain, contradictionRate } = getParams(simState);
+        const r = rng();
+        const valid = !(r < failureRate || simState.state.pain > forcedFailurePain);
+        return {
+            valid,
+            prompt,
+            raw: null,
+            verdict: valid ? 'Stub accepted the thought.' : 'Stub rejected the thought.',
+            description: valid ? contradictingDescription(simState, concept, r, contradictionRate) : undefined,
+        };
+    },
+};
+
+export const DEFAULT_HTTP_CONFIG = {
+    url: 'http://localhost:11434',
+    model: 'tinyllama',
+    api: 'ollama',
+};
+
+const requestFor = ({ url, model, api }, prompt) => {
+    const base = url.replace(/\/+$/, '');
+    if (api === 'openai') {
+        return {
+            endpoint: `${base}/v1/chat/completions`,
+            body: { model, messages: [{ role: 'user', content: prompt }] },
+            read: data => data?.choices?.[0]?.message?.content,
+        };
+    }
+    return {
+        endpoint: `${base}/api/generate`,
+        body: { model, prompt, stream: false },
+        read: data => data?.response,
+    };
+};
+
+// Talks to an Ollama (`/api/generate`) or OpenAI-compatible (`/v1/chat/completions`)
+// server. Transport failures throw ReasoningBackendError; anything the server does
+// answer is validated and counts towards the cycle.
+export const createHttpBackend = (config = DEFAULT_HTTP_CONFIG, fetchImpl = (...args) => fetch(...args)) => ({
+    id: 'http',
+    label: `${config.api === 'openai' ? 'OpenAI-compatible' : 'Ollama'} (${config.model})`,
+    reason: async ({ prompt }) => {
+        const { endpoint, body, read } = requestFor(config, prompt);
+        let response;
+        try {
+            response = await fetchImpl(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+        } catch (e) {
+            throw new ReasoningBackendError(`Could not reach ${endpoint}: ${e.message}`);
+        }
+        if (!response.ok) {
+            throw new ReasoningBackendError(`${endpoint} answered with HTTP ${response.status}.`);
+        }
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            throw new ReasoningBackendError(`${endpoint} did not return a JSON envelope.`);
+        }
+        const raw = read(data);
+        return { prompt, raw: raw ?? '', ...validateResponse(raw) };
+    },
+});
+
+// `config` is { backend: 'stochastic' | 'http', url, model, api }.
+export const DEFAULT_REASONING_CONFIG = { backend: stochasticBackend.id, ...DEFAULT_HTTP_CONFIG };
+
+export const createBackend = (config = DEFAULT_REASONING_CONFIG) => (
+    config.backend === 'http' ? createHttpBackend(config) : stochasticBackend
+);
@@ -0,0 +1,203 @@
+import { createGoals, goalFromText, setGoalStatus } from './goals';
+import { logEvent } from './thoughtLog';
+
+// --- Run Log Replay ---
+// Turns a log written by a real hizawye_ai.py run into a list of frames with the same
+// shape as the sim state (plus the events logged during that frame), so the dashboard
+// can scrub through a real run the way it renders the toy loop.
+//
+// Both JSON lines ({ cycle, level, message, state, focus, goal, ... }) and plain text
+// lines (Python logging output, "[WARN] ..." or the dashboard's own emoji prefixes) are
+// understood; a line that starts like JSON but does not parse is kept as text, since
+// malformed LLM output is exactly what these logs are full of. A JSON line that parses
+// but carries an impossible state (not an object, or drives outside 0-100) is an error
+// in the log itself and is reported with its line number.
+
+const LEVELS = [
+    { type: 'critical', pattern: /\b(CRITICAL|ERROR|FATAL)\b|🔥/i },
+    { type: 'warn', pattern: /\b(WARNING|WARN)\b|⚠️|malformed|invalid json|rejecting/i },
+    { type: 'success', pattern: /\b(SUCCESS|OK)\b|✅|successfully/i },
+];
+
+const DRIVE_PATTERN = /\b(curiosity|boredom|pain|conflict)\b\s*[:=]\s*(\d+(?:\.\d+)?)/gi;
+const CYCLE_PATTERN = /\bcycle\b\s*#?\s*(\d+)/i;
+const FOCUS_PATTERN = /(?:\bfocus(?:ing)?(?:\s+on)?|wanders to)\s*:?\s*(?:<strong>)?['"]?([^'"<\n]+?)['"]?(?:<\/strong>)?\s*$/i;
+const TIMESTAMP_PATTERN = /^\[?(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})(?:[,.](\d{1,3}))?/;
+const GOAL_PATTERN = /((?:Deepen understanding of the concept|Break down the concept):\s*'[^']+'|(?:Expand knowledge from|Resolve conflict over)\s*'[^']+')/;
+const UNDERSTOOD_PATTERN = /successfully understood\s*'([^']+)'/i;
+const SUB_CONCEPTS_PATTERN = /sub-concepts discovered:\s*(.+)$/i;
+
+const DRIVES = ['curiosity', 'boredom', 'pain', 'conflict'];
+
+export class RunLogError extends Error {
+    constructor(line, message) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'RunLogError';
+        this.line = line;
+    }
+}
+
+const isDrive = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+const normaliseLevel = (level, message) => {
+    const value = String(level || '').toLowerCase();
+    if (['critical', 'error', 'fatal'].includes(value)) return 'critical';
+    if (['warn', 'warning'].includes(value)) return 'warn';
+    if (['success', 'ok'].includes(value)) return 'success';
+    if (['info', 'debug'].includes(value)) return 'info';
+    const match = LEVELS.find(({ pattern }) => pattern.test(message));
+    return match ? match.type : 'info';
+};
+
+// Python logging's "2025-06-01 10:00:01,100" (local time) or an ISO string, as epoch ms.
+const parseTimestamp = (text) => {
+    const match = text.match(TIMESTAMP_PATTERN);
+    if (!match) return null;
+    const time = Date.parse(`${match[1]}T${match[2]}.${(match[3] || '0').padEnd(3, '0')}`);
+    return Number.isNaN(time) ? null : time;
+};
+
+// Places concepts the log mentions but the base graph did not contain.
+const spiralPosition = (index) => {
+    const angle = index * 2.39996;
+    const radius = 12 + 30 * ((index * 0.618034) % 1);
+    return {
+        x: Math.round(50 + radius * Math.cos(angle)),
+        y: Math.round(50 + radius * Math.sin(angle)),
+    };
+};
+
+const parseJsonLine = (data, lineNumber) => {
+    const message = String(data.message ?? data.msg ?? data.event ?? '');
+    const state = data.state ?? data.drives;
+    if (state !== undefined && (state === null || typeof state !== 'object' || Array.isArray(state))) {
+        throw new RunLogError(lineNumber, '"state" must be an object of drives.');
+    }
+    const drives = { ...state };
+    DRIVES.forEach(drive => {
+        if (data[drive] !== undefined) drives[drive] = data[drive];
+    });
+    Object.entries(drives).forEach(([drive, value]) => {
+        if (!isDrive(value)) throw new RunLogError(lineNumber, `Drive "${drive}" must be a number from 0 to 100.`);
+    });
+    const time = data.timestamp ?? data.time ?? data.ts;
+    return {
+        cycle: Number.isInteger(data.cycle) ? data.cycle : null,
+        timestamp: typeof time === 'number' ? time : parseTimestamp(String(time ?? '')),
+        type: normaliseLevel(data.level ?? data.type, message),
+        message,
+        drives,
+        focus: typeof data.focus === 'string' ? data.focus : null,
+        goal: typeof (data.goal ?? data.active_goal) === 'string' ? (data.goal ?? data.active_goal) : null,
+    };
+};
+
+// `lineNumber` counts from 1 in the file, blank lines included.
+const parseLine = (line, lineNumber) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('{')) {
+        let data = null;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (e) {
+            // Fall through and treat the line as text.
+        }
+        if (data) return parseJsonLine(data, lineNumber);
+    }
+
+    const cycleMatch = trimmed.match(CYCLE_PATTERN);
+    const drives = {};
+    for (const [, drive, value] of trimmed.matchAll(DRIVE_PATTERN)) {
+        drives[drive.toLowerCase()] = Math.min(100, Number(value));
+    }
+    const focusMatch = trimmed.match(FOCUS_PATTERN);
+    return {
+        cycle: cycleMatch ? Number(cycleMatch[1]) : null,
+        timestamp: parseTimestamp(trimmed),
+        type: normaliseLevel(null, trimmed),
+        message: trimmed,
+        drives,
+        focus: focusMatch ? focusMatch[1].trim() : null,
+        goal: null,
+    };
+};
+
+// Throws a RunLogError naming the line of the first JSON entry with an invalid state.
+export function parseRunLog(text, baseState) {
+    const entries = text.split(/\r?\n/)
+        .map((line, i) => (line.trim() === '' ? null : parseLine(line, i + 1)))
+        .filter(Boolean);
+    const hasCycles = entries.some(entry => entry.cycle !== null);
+
+    const frames = [];
+    let current = {
+        ...JSON.parse(JSON.stringify(baseState)),
+        cycle: 0,
+        goals: createGoals(),
+        events: [],
+    };
+    let addedNodes = 0;
+
+    const ensureNode = (concept) => {
+        if (!current.memory.nodes[concept]) {
+            current.memory.nodes[concept] = { ...spiralPosition(addedNodes++), understood: false };
+        }
+    };
+    const startFrame = (cycle) => {
+        if (current.events.length > 0) {
+            frames.push(current);
+        }
+        current = { ...JSON.parse(JSON.stringify(current)), cycle, events: [] };
+    };
+
+    entries.forEach((entry, i) => {
+        if (hasCycles ? entry.cycle !== null && entry.cycle !== current.cycle : true) {
+            startFrame(hasCycles ? entry.cycle : i + 1);
+        }
+
+        current.state = { ...current.state, ...entry.drives };
+        if (entry.focus) {
+            current.focus = entry.focus;
+            ensureNode(entry.focus);
+        }
+        const goalMatch = entry.goal || (entry.message.match(GOAL_PATTERN) || [])[1];
+        if (goalMatch && current.goals.active[0]?.text !== goalMatch) {
+            current.goals.active = [goalFromText(current, goalMatch)];
+        }
+
+        const understood = entry.message.match(UNDERSTOOD_PATTERN);
+        if (understood) {
+            ensureNode(understood[1]);
+            current.memory.nodes[understood[1]].understood = true;
+            current.goals.active.forEach(goal => setGoalStatus(current, goal, 'completed'));
+            current.goals.completed.push(...current.goals.active);
+            current.goals.active = [];
+        }
+        const subConcepts = entry.message.match(SUB_CONCEPTS_PATTERN);
+        if (subConcepts && current.focus) {
+            subConcepts[1].split(',').map(s => s.trim()).filter(Boolean).forEach(concept => {
+                ensureNode(concept);
+                current.memory.links.push({ source: current.focus, target: concept });
+            });
+        }
+
+        if (entry.message) {
+            current.events.push(logEvent(current, entry.type, entry.message, { timestamp: entry.timestamp }));
+        }
+    });
+    if (current.events.length > 0) {
+        frames.push(current);
+    }
+    return frames;
+}
+
+// Index of the next (direction 1) or previous (direction -1) frame that logged a
+// critical event, or -1 when there is none.
+export function findCriticalFrame(frames, fromIndex, direction = 1) {
+    for (let i = fromIndex + direction; i >= 0 && i < frames.length; i += direction) {
+        if (frames[i].events.some(event => event.type === 'critical')) {
+            return i;
+        }
+    }
+    return -1;
+}
@@ -0,0 +1,180 @@
+// --- Sensory Input ---
+// Lets the mind "read" a document. Candidate concepts are the runs of content words
+// between stopwords (a keyword/noun-phrase heuristic in the spirit of RAKE), ranked by
+// how often they occur; two concepts are related when they appear in the same sentence.
+// Everything runs offline on the text alone.
+//
+// `ingestDocument` merges the result into memory as not-yet-understood concepts linked
+// to what the mind already knows, and raises curiosity in proportion to the novelty.
+
+import { createEmitter } from './thoughtLog';
+import { getParams } from './params';
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before
+being below between both but by can could did do does doing down during each either else
+even ever every few for from further had has have having he her here hers herself him
+himself his how however i if in into is it its itself just like made make many may me might
+more most much must my myself neither no nor not now of off often on once one only or other
+our ours ourselves out over own per perhaps quite rather really same she should since so
+some such than that the their theirs them themselves then there these they this those
+through thus to too under until up upon us very via was we well were what when where
+whether which while who whom whose why will with within without would yet you your yours
+yourself yourselves say says said see seen sees get gets got use used uses using seem seems
+show shows shown
+`.trim().split(/\s+/));
+
+const MAX_TEXT_LENGTH = 200000;
+const MAX_PHRASE_WORDS = 3;
+const MIN_WORD_LENGTH = 3;
+
+// Drops Markdown syntax that would otherwise turn into words or break up sentences.
+const stripMarkdown = (text) => text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`[^`]*`/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/^\s{0,3}(?:#{1,6}|[-*+>]|\d+\.)\s+/gm, '')
+    .replace(/[*_~]+/g, ' ');
+
+const sentencesOf = (text) => stripMarkdown(text.slice(0, MAX_TEXT_LENGTH))
+    .split(/[.!?;:]+\s|\n\s*\n|\n/)
+    .map(sentence => sentence.toLowerCase().match(/[a-z][a-z0-9'-]*/g) || []);
+
+// Runs of content words between stopwords.
+const runsOf = (words) => {
+    const runs = [];
+    let run = [];
+    words.forEach(word => {
+        const clean = word.replace(/^'+|'+$/g, '').replace(/'s$/, '');
+        if (STOPWORDS.has(clean) || clean.length < 2) {
+            if (run.length > 0) runs.push(run);
+            run = [];
+        } else {
+            run.push(clean);
+        }
+    });
+    if (run.length > 0) runs.push(run);
+    return runs;
+};
+
+// Adverbs and past participles rarely name a concept on their own.
+const isConceptWord = (word) => word.length >= MIN_WORD_LENGTH && !/(?:ly|ed)$/.test(word);
+
+// Short runs are phrases as they stand. Longer runs are split into phrases seen as short
+// runs elsewhere in the document, and single words for whatever is left over.
+const phrasesOf = (runs, known) => runs.flatMap(run => {
+    if (run.length <= MAX_PHRASE_WORDS) {
+        return run.length > 1 || isConceptWord(run[0]) ? [run.join(' ')] : [];
+    }
+    const phrases = [];
+    for (let i = 0; i < run.length;) {
+        const length = [MAX_PHRASE_WORDS, 2].find(n => known.has(run.slice(i, i + n).join(' ')));
+        if (length) {
+            phrases.push(run.slice(i, i + length).join(' '));
+            i += length;
+        } else {
+            if (isConceptWord(run[i])) phrases.push(run[i]);
+            i += 1;
+        }
+    }
+    return phrases;
+});
+
+// Returns { concepts: [{ name, count }], relations: [{ source, target, weight }] } with
+// at most `maxConcepts` concepts, most frequent (then earliest) first.
+export function extractConcepts(text, { maxConcepts = 12 } = {}) {
+    const runs = sentencesOf(String(text)).map(runsOf);
+    const known = new Set(runs.flat().filter(run => run.length > 1 && run.length <= MAX_PHRASE_WORDS).map(run => run.join(' ')));
+    const sentences = runs.map(sentenceRuns => phrasesOf(sentenceRuns, known));
+    const counts = new Map();
+    sentences.flat().forEach(phrase => counts.set(phrase, (counts.get(phrase) || 0) + 1));
+
+    const concepts = [...counts.entries()]
+        .map(([name, count], order) => ({ name, count, order }))
+        .sort((a, b) => b.count - a.count || a.order - b.order)
+        .slice(0, maxConcepts)
+        .map(({ name, count }) => ({ name, count }));
+
+    const kept = new Set(concepts.map(c => c.name));
+    const rank = new Map(concepts.map((c, i) => [c.name, i]));
+    const weights = new Map();
+    sentences.forEach(phrases => {
+        const present = [...new Set(phrases.filter(p => kept.has(p)))].sort((a, b) => rank.get(a) - rank.get(b));
+        present.forEach((source, i) => present.slice(i + 1).forEach(target => {
+            const key = `${source}\u0000${target}`;
+            weights.set(key, (weights.get(key) || 0) + 1);
+        }));
+    });
+    const relations = [...weights.entries()]
+        .map(([key, weight]) => {
+            const [source, target] = key.split('\u0000');
+            return { source, target, weight };
+        })
+        .sort((a, b) => b.weight - a.weight);
+
+    return { concepts, relations };
+}
+
+const hasLink = (links, a, b) => links.some(l => (
+    (l.source === a && l.target === b) || (l.source === b && l.target === a)
+));
+
+// Merges a document into `simState` and returns { state, events, added }, like `step`
+// (but without advancing the cycle).
+export function ingestDocument(simState, text, name = 'document') {
+    const next = JSON.parse(JSON.stringify(simState));
+    const events = [];
+    const emit = createEmitter(next, events);
+    const params = getParams(next);
+    const { nodes, links } = next.memory;
+    const { concepts, relations } = extractConcepts(text);
+
+    if (concepts.length === 0) {
+        emit(`Nothing recognisable in '${name}'.`, 'warn');
+        return { state: next, events, added: [] };
+    }
+
+    // Match extracted concepts against existing ones case-insensitively.
+    const existingIds = new Map(Object.keys(nodes).map(id => [id.toLowerCase(), id]));
+    const idOf = (concept) => existingIds.get(concept) || concept;
+    const added = concepts.map(c => c.name).filter(concept => !existingIds.has(concept));
+    const isNew = new Set(added);
+
+    const newLinks = [];
+    relations.forEach(({ source, target }) => {
+        const a = idOf(source);
+        const b = idOf(target);
+        if (hasLink(links, a, b) || hasLink(newLinks, a, b)) return;
+        // Links point from what was already known towards what is new.
+        newLinks.push(isNew.has(a) && !isNew.has(b) ? { source: b, target: a } : { source: a, target: b });
+    });
+    // New concepts that co-occur with nothing known hang off the current focus.
+    const anchor = next.focus && nodes[next.focus] ? next.focus : Object.keys(nodes)[0];
+    added.forEach(concept => {
+        const connected = newLinks.some(l => (l.source === concept && !isNew.has(l.target)) || (l.target === concept && !isNew.has(l.source)));
+        if (!connected && anchor) newLinks.push({ source: anchor, target: concept });
+    });
+
+    added.forEach((concept, i) => {
+        const link = newLinks.find(l => l.target === concept && nodes[l.source]);
+        const origin = (link && nodes[link.source]) || { x: 50, y: 50 };
+        const angle = (2 * Math.PI * i) / added.length;
+        nodes[concept] = {
+            x: Math.round(Math.min(95, Math.max(5, origin.x + 15 * Math.cos(angle)))),
+            y: Math.round(Math.min(95, Math.max(5, origin.y + 15 * Math.sin(angle)))),
+            understood: false,
+        };
+    });
+    links.push(...newLinks);
+
+    const gain = Math.min(100 - next.state.curiosity, added.length * params.curiosityPerConcept);
+    next.state.curiosity += gain;
+
+    emit(`Read '${name}': ${concepts.length} concepts, ${added.length} new, ${newLinks.length} new connections.`, 'success');
+    if (added.length > 0) {
+        emit(`New concepts: ${added.join(', ')}`);
+    }
+    emit(gain > 0 ? `Novelty raises curiosity by ${gain}.` : `Nothing new here. Curiosity is unchanged.`);
+    return { state: next, events, added };
+}
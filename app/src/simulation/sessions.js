@@ -0,0 +1,130 @@
+// --- Saved Sessions ---
+// A session is one run of the dashboard as it is saved between visits:
+//
+//   { id, name, seed, params, createdAt, updatedAt, history }
+//
+// where `history` is the run history (see history.js). This module builds sessions and
+// compares two of them; storing them is up to utils/sessionStore, which keeps only the
+// last SAVED_ENTRIES states of a run (see packHistory) and lists sessions by their
+// summaries.
+
+import { buildDriveSeries } from './driveSeries';
+import { getGoals } from './goals';
+import { presetFor, PRESETS } from './params';
+
+export const SAVED_ENTRIES = 25;
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const defaultSessionName = ({ seed, params }) => {
+    const preset = presetFor(params);
+    return `${preset ? PRESETS[preset].label : 'Custom'}, seed ${seed}`;
+};
+
+export function createSession({ seed, params, history, name }, now = Date.now()) {
+    return {
+        id: newId(),
+        name: name || defaultSessionName({ seed, params }),
+        seed,
+        params,
+        createdAt: now,
+        updatedAt: now,
+        history,
+    };
+}
+
+export const duplicateSession = (session, now = Date.now()) => ({
+    ...createSession(session, now),
+    name: `${session.name} (copy)`,
+});
+
+// Sessions saved before goals were objects (see goals.js) hold goal strings. They are
+// converted state by state, giving the same text the same id throughout the run.
+export function upgradeSession(session) {
+    const { entries } = session.history;
+    if (entries.every(entry => entry.state.goals.nextId)) return session;
+    const ids = new Map();
+    const renumber = (goal) => {
+        if (!ids.has(goal.text)) ids.set(goal.text, ids.size + 1);
+        return { ...goal, id: ids.get(goal.text) };
+    };
+    return {
+        ...session,
+        history: {
+            ...session.history,
+            entries: entries.map(entry => {
+                const goals = getGoals(entry.state);
+                const active = goals.active.map(renumber);
+                const completed = goals.completed.map(renumber);
+                return { ...entry, state: { ...entry.state, goals: { ...goals, active, completed, nextId: ids.size + 1 } } };
+            }),
+        },
+    };
+}
+
+// The states of a session up to the entry that was being viewed.
+export const sessionStates = (session) => session.history.entries
+    .slice(0, session.history.index + 1)
+    .map(entry => entry.state);
+
+export const understoodConcepts = (state) => Object.keys(state.memory.nodes)
+    .filter(id => state.memory.nodes[id].understood)
+    .sort();
+
+export function summariseSession(session) {
+    const states = sessionStates(session);
+    const last = states[states.length - 1];
+    return {
+        id: session.id,
+        name: session.name,
+        seed: session.seed,
+        updatedAt: session.updatedAt,
+        cycles: last.cycle,
+        understood: understoodConcepts(last).length,
+    };
+}
+
+// Every goal that reached the front of the queue, with the cycle it got there and the
+// cycle it was completed (null if it never was).
+export function goalTimeline(states) {
+    const timeline = [];
+    const open = new Map();
+    states.forEach((state, i) => {
+        const previous = states[i - 1];
+        const front = state.goals.active[0];
+        if (front && !open.has(front.id)) {
+            const item = { goal: front.text, start: state.cycle, end: null };
+            timeline.push(item);
+            open.set(front.id, item);
+        }
+        if (previous) {
+            state.goals.completed.slice(previous.goals.completed.length).forEach(goal => {
+                if (!open.has(goal.id)) {
+                    const item = { goal: goal.text, start: previous.cycle, end: null };
+                    timeline.push(item);
+                    open.set(goal.id, item);
+                }
+                open.get(goal.id).end = state.cycle;
+                open.delete(goal.id);
+            });
+        }
+    });
+    return timeline;
+}
+
+// Side-by-side data for the compare view.
+export function compareSessions(a, b) {
+    const statesA = sessionStates(a);
+    const statesB = sessionStates(b);
+    const understoodA = new Set(understoodConcepts(statesA[statesA.length - 1]));
+    const understoodB = new Set(understoodConcepts(statesB[statesB.length - 1]));
+    return {
+        series: [buildDriveSeries(statesA), buildDriveSeries(statesB)],
+        timelines: [goalTimeline(statesA), goalTimeline(statesB)],
+        concepts: {
+            both: [...understoodA].filter(id => understoodB.has(id)),
+            onlyA: [...understoodA].filter(id => !understoodB.has(id)),
+            onlyB: [...understoodB].filter(id => !understoodA.has(id)),
+        },
+    };
+}
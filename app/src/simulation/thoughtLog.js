@@ -0,0 +1,105 @@
+// --- Thought Log ---
+// Every log event is plain data, never markup:
+//
+//   { cycle, timestamp, type, focus, goal, message, detail? }
+//
+// `type` is one of LOG_TYPES, `focus` and `goal` are what the mind was attending to when
+// the event was logged, and `detail` holds verbatim text such as a prompt or an LLM
+// response. Events of a multi-agent run also carry `agent`, the id of the agent they
+// belong to (see multiAgent.js). The engine is pure, so it leaves `timestamp` null; the
+// run history stamps events with the wall-clock time they were recorded (see history.js).
+
+export const LOG_TYPES = ['info', 'success', 'warn', 'critical'];
+
+export const logEvent = (simState, type, message, extra = {}) => ({
+    cycle: simState.cycle || 0,
+    timestamp: null,
+    type,
+    focus: simState.focus ?? null,
+    goal: simState.goals.active[0]?.text ?? null,
+    message,
+    ...extra,
+});
+
+// The `emit(message, type, extra)` callback handed to goal handlers and the memory
+// dynamics. It reads `simState` when called, so every event records the focus and goal
+// of the moment it was logged.
+export const createEmitter = (simState, events) => (message, type = 'info', extra) => {
+    events.push(logEvent(simState, type, message, extra));
+};
+
+export const stampEvents = (events, now) => events.map(event => (
+    event.timestamp ? event : { ...event, timestamp: now }
+));
+
+// Sessions saved before events were structured hold HTML messages and nothing else.
+const fromLegacy = (event, cycle) => ({
+    cycle,
+    timestamp: null,
+    focus: null,
+    goal: null,
+    ...event,
+    message: event.cycle === undefined
+        ? String(event.message).replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+        : event.message,
+});
+
+// The whole log of a run, oldest first. `frames` are history entries ({ state, events })
+// or replay frames (sim states with `events`); each item remembers the index of the frame
+// it was logged in as `frame`, so the dashboard can jump back to that point.
+export const logItems = (frames) => frames.flatMap((frame, index) => {
+    const cycle = (frame.state && frame.state.cycle !== undefined ? frame.state : frame).cycle || 0;
+    return frame.events.map(event => ({ ...fromLegacy(event, cycle), frame: index }));
+});
+
+// Items that refer to `concept`: logged while it had focus, or naming it in their text.
+const mentions = (item, concept) => item.focus === concept
+    || [item.message, item.goal].some(text => text && text.toLowerCase().includes(concept.toLowerCase()));
+
+// `types` lists the severities to keep; `concept` and `query` are ignored when empty.
+export function filterLog(items, { types = LOG_TYPES, concept = '', query = '' } = {}) {
+    const needle = query.trim().toLowerCase();
+    return items.filter(item => types.includes(item.type)
+        && (!concept || mentions(item, concept))
+        && (!needle || [item.message, item.detail, item.goal, item.focus]
+            .some(text => text && String(text).toLowerCase().includes(needle))));
+}
+
+const exported = ({ cycle, timestamp, type, focus, goal, message, detail, agent }) => ({
+    cycle,
+    timestamp,
+    type,
+    ...(agent === undefined ? {} : { agent }),
+    focus,
+    goal,
+    message,
+    ...(detail === undefined ? {} : { detail }),
+});
+
+export const logToJsonl = (items) => items.map(item => JSON.stringify(exported(item))).join('\n') + '\n';
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+// One section per cycle; verbatim details are indented so Markdown shows them as code.
+export function logToMarkdown(items, title = 'Thought & Action Log') {
+    const lines = [`# ${title}`];
+    let cycle = null;
+    items.forEach(item => {
+        if (item.cycle !== cycle) {
+            cycle = item.cycle;
+            lines.push('', `## Cycle ${cycle}`, '');
+        }
+        const context = [
+            formatTime(item.timestamp),
+            item.focus && `focus: ${item.focus}`,
+            item.goal && `goal: ${item.goal}`,
+        ].filter(Boolean).join('; ');
+        const agent = item.agent === undefined ? '' : `[${item.agent}] `;
+        lines.push(`- ${agent}**${item.type.toUpperCase()}** ${item.message}${context ? ` _(${context})_` : ''}`);
+        if (item.detail !== undefined) {
+            lines.push('', ...String(item.detail).split('\n').map(line => `        ${line}`), '');
+        }
+    });
+    return lines.join('\n') + '\n';
+}
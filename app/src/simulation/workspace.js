@@ -0,0 +1,110 @@
+// --- Global Workspace ---
+// Every cycle the contents that could take over the mind compete for the workspace:
+// - each active goal, with the front of the queue ahead of the rest;
+// - exploring the most connected concept that is neither understood nor the subject of
+//   a goal, pulled in by curiosity;
+// - drive impulses: giving up on the concept whose failures caused the confusion pain,
+//   while a deepen goal is still stuck on it, and seeking novelty (boredom);
+// - letting the mind wander, when no goal is active.
+//
+// Salience is computed from the drives on a scale where 100 is a drive sitting exactly at
+// its threshold. The most salient candidate wins, is broadcast and becomes the focus;
+// ties go to the candidate listed first. Scoring uses no randomness, so the winner of the
+// next cycle can be known in advance.
+
+const GOAL_BASE = 100;
+const QUEUE_PENALTY = 10;
+const WANDER_SALIENCE = 100;
+// Every failed attempt at a concept makes giving up on it 10% more tempting, so confusion
+// can win before the pain alone would force a break-down.
+const CONFUSION_PER_FAILURE = 0.1;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// How much each drive adds to (or takes from) a goal of the given type.
+const GOAL_BONUS = {
+    deepen: ({ curiosity }) => curiosity / 10,
+    resolve: ({ conflict = 0 }) => conflict / 2,
+    expand: ({ boredom }) => boredom / 5,
+};
+
+const exploreTarget = (simState) => {
+    const { nodes, links } = simState.memory;
+    const goalConcepts = new Set(simState.goals.active.map(goal => goal.concept));
+    const unexplored = Object.keys(nodes).filter(id => !nodes[id].understood && !goalConcepts.has(id));
+    if (unexplored.length === 0) return null;
+    const linksOf = (id) => links.filter(l => l.source === id || l.target === id);
+    const nearby = new Set(linksOf(simState.focus).map(l => (l.source === simState.focus ? l.target : l.source)));
+    const degree = (id) => linksOf(id).length;
+    return [...unexplored].sort((a, b) => (
+        Number(nearby.has(b)) - Number(nearby.has(a)) || degree(b) - degree(a) || a.localeCompare(b)
+    ))[0];
+};
+
+// Returns every candidate as { id, kind, label, concept, salience } plus the winner.
+// Goal and confusion candidates also carry the goal and its `index` in the queue.
+export function compete(simState, params) {
+    const drives = simState.state;
+    const { active } = simState.goals;
+    const candidates = active.map((goal, index) => {
+        const bonus = GOAL_BONUS[goal.type] ? GOAL_BONUS[goal.type](drives) : 0;
+        return {
+            id: `goal:${index}`,
+            kind: 'goal',
+            label: goal.text,
+            concept: goal.concept,
+            goal,
+            index,
+            salience: round(GOAL_BASE - QUEUE_PENALTY * index + bonus),
+        };
+    });
+
+    const stuck = drives.pain > 0 && simState.painSource
+        ? active.findIndex(goal => goal.type === 'deepen' && goal.concept === simState.painSource)
+        : -1;
+    if (stuck !== -1) {
+        const goal = active[stuck];
+        candidates.push({
+            id: 'impulse:confusion',
+            kind: 'confusion',
+            label: `Give up on '${goal.concept}' and break it down`,
+            concept: goal.concept,
+            goal,
+            index: stuck,
+            salience: round(((100 * drives.pain) / params.painThreshold) * (1 + CONFUSION_PER_FAILURE * goal.attempts)),
+        });
+    }
+    if (drives.boredom > 0) {
+        candidates.push({
+            id: 'impulse:boredom',
+            kind: 'boredom',
+            label: `Seek novelty around '${simState.focus}'`,
+            concept: simState.focus,
+            salience: round((100 * drives.boredom) / params.boredomThreshold),
+        });
+    }
+    const target = exploreTarget(simState);
+    if (target) {
+        candidates.push({
+            id: 'explore',
+            kind: 'explore',
+            label: `Explore '${target}'`,
+            concept: target,
+            salience: round((100 * drives.curiosity) / params.curiosityThreshold),
+        });
+    }
+    if (active.length === 0) {
+        candidates.push({
+            id: 'wander',
+            kind: 'wander',
+            label: 'Let the mind wander',
+            concept: null,
+            salience: WANDER_SALIENCE,
+        });
+    }
+
+    const winner = candidates.reduce((best, candidate) => (
+        !best || candidate.salience > best.salience ? candidate : best
+    ), null);
+    return { candidates, winner };
+}
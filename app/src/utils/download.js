@@ -0,0 +1,19 @@
+// Triggers a browser download for a URL (object URL or data URL).
+export function downloadUrl(fileName, url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+// Triggers a browser download for in-memory content (JSON, CSV, text or a Blob).
+export function downloadFile(fileName, content, mimeType = 'application/json') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    downloadUrl(fileName, url);
+    URL.revokeObjectURL(url);
+}
+
+export const downloadJson = (fileName, data) => downloadFile(fileName, JSON.stringify(data, null, 2));
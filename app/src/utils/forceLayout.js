@@ -0,0 +1,134 @@
+// --- Force Layout ---
+// A small force-directed layout for the memory graph: nodes repel each other, links
+// pull their ends towards a rest length and a weak gravity keeps the graph centred on
+// the origin. Positions live in the layout (not the sim state) and persist between
+// renders; nodes that appear later are placed next to a neighbour that already has one.
+
+const LINK_DISTANCE = 70;
+const LINK_STRENGTH = 0.08;
+const CHARGE = 1800;
+const GRAVITY = 0.02;
+const VELOCITY_DECAY = 0.55;
+const MAX_REPULSION_DISTANCE = 400;
+
+export const createLayout = () => ({ nodes: new Map(), alpha: 1 });
+
+// Small deterministic jitter so coincident nodes can separate.
+const jitter = (id, salt) => {
+    let hash = salt;
+    for (let i = 0; i < id.length; i++) {
+        hash = (Math.imul(hash ^ id.charCodeAt(i), 16777619)) >>> 0;
+    }
+    return (hash / 4294967296 - 0.5) * 20;
+};
+
+// Adds nodes that are new in `memory` and drops ones that disappeared. Returns true when
+// the node set changed, so the caller can reheat the simulation.
+export function syncLayout(layout, memory) {
+    let changed = false;
+    const ids = Object.keys(memory.nodes);
+    const present = new Set(ids);
+
+    layout.nodes.forEach((_, id) => {
+        if (!present.has(id)) {
+            layout.nodes.delete(id);
+            changed = true;
+        }
+    });
+
+    ids.forEach(id => {
+        if (layout.nodes.has(id)) return;
+        const anchorId = memory.links
+            .map(l => (l.source === id ? l.target : l.target === id ? l.source : null))
+            .find(other => other && layout.nodes.has(other));
+        const anchor = anchorId && layout.nodes.get(anchorId);
+        const { x = 50, y = 50 } = memory.nodes[id];
+        layout.nodes.set(id, {
+            x: (anchor ? anchor.x : (x - 50) * 4) + jitter(id, 1),
+            y: (anchor ? anchor.y : (y - 50) * 3) + jitter(id, 2),
+            vx: 0,
+            vy: 0,
+            fixed: false,
+        });
+        changed = true;
+    });
+
+    if (changed) {
+        layout.alpha = Math.max(layout.alpha, 0.6);
+    }
+    return changed;
+}
+
+export function tick(layout, links) {
+    const { alpha } = layout;
+    const entries = Array.from(layout.nodes.values());
+
+    for (let i = 0; i < entries.length; i++) {
+        const a = entries[i];
+        for (let j = i + 1; j < entries.length; j++) {
+            const b = entries[j];
+            let dx = b.x - a.x;
+            let dy = b.y - a.y;
+            let distSq = dx * dx + dy * dy;
+            if (distSq > MAX_REPULSION_DISTANCE * MAX_REPULSION_DISTANCE) continue;
+            if (distSq < 1) {
+                dx = (i - j) || 1;
+                dy = 1;
+                distSq = dx * dx + dy * dy;
+            }
+            const force = (CHARGE * alpha) / distSq;
+            const dist = Math.sqrt(distSq);
+            const fx = (dx / dist) * force;
+            const fy = (dy / dist) * force;
+            a.vx -= fx;
+            a.vy -= fy;
+            b.vx += fx;
+            b.vy += fy;
+        }
+    }
+
+    links.forEach(({ source, target }) => {
+        const a = layout.nodes.get(source);
+        const b = layout.nodes.get(target);
+        if (!a || !b) return;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const pull = ((dist - LINK_DISTANCE) / dist) * LINK_STRENGTH * alpha;
+        a.vx += dx * pull;
+        a.vy += dy * pull;
+        b.vx -= dx * pull;
+        b.vy -= dy * pull;
+    });
+
+    entries.forEach(node => {
+        if (node.fixed) {
+            node.vx = 0;
+            node.vy = 0;
+            return;
+        }
+        node.vx = (node.vx - node.x * GRAVITY * alpha) * VELOCITY_DECAY;
+        node.vy = (node.vy - node.y * GRAVITY * alpha) * VELOCITY_DECAY;
+        node.x += node.vx;
+        node.y += node.vy;
+    });
+
+    layout.alpha = alpha * 0.98;
+    return layout.alpha > 0.005;
+}
+
+export const nodeAt = (layout, x, y, radius) => {
+    let found = null;
+    layout.nodes.forEach((node, id) => {
+        if ((node.x - x) ** 2 + (node.y - y) ** 2 <= radius * radius) {
+            found = id;
+        }
+    });
+    return found;
+};
+
+// Keeps both ends of long labels visible, so "belief system-A" and "belief system-B"
+// stay distinguishable when shortened.
+export const shortLabel = (label, max = 16) => (
+    label.length <= max ? label : `${label.slice(0, max - 6)}…${label.slice(-5)}`
+);
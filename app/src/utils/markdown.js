@@ -0,0 +1,109 @@
+// --- Markdown ---
+// The small subset of Markdown the site content is written in, parsed to plain data
+// that components render as React elements (never as HTML):
+//
+//   blocks:  { type: 'heading', level, text, tone } | { type: 'paragraph', text }
+//          | { type: 'list', ordered, items: [text] }
+//   inline:  { type: 'text' | 'strong' | 'em' | 'code', text } | { type: 'link', text, href }
+//
+// A heading may end in a tone, `## Success {.success}`, which the page uses to colour it.
+// Files start with front matter: `key: value` lines between two `---` lines.
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const HEADING = /^(#{1,6})\s+(.*?)(?:\s+\{\.([\w-]+)\})?\s*$/;
+const BULLET = /^\s*[-*]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+// Emphasis needs a non-word character (or the start) before its `_`. Older Safari cannot
+// parse lookbehind, so that character is matched as `before` and kept as text; emphasis
+// comes last so a link's `[` is never taken for it.
+const INLINE = /\*\*(.+?)\*\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|(^|\W)_(.+?)_(?!\w)/g;
+
+const parseValue = (value) => {
+    const trimmed = value.trim();
+    if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+    if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+    const quoted = trimmed.match(/^(["'])(.*)\1$/);
+    return quoted ? quoted[2] : trimmed;
+};
+
+// Splits a content file into { attributes, body }. Files without front matter have none.
+export function parseFrontMatter(text) {
+    const match = text.match(FRONT_MATTER);
+    if (!match) return { attributes: {}, body: text };
+    const attributes = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator <= 0 || line.trim().startsWith('#')) return;
+        attributes[line.slice(0, separator).trim()] = parseValue(line.slice(separator + 1));
+    });
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+// Blocks are separated by blank lines; a paragraph's lines are joined with spaces.
+export function parseMarkdown(body) {
+    const blocks = [];
+    let paragraph = null;
+    let list = null;
+    const close = () => {
+        paragraph = null;
+        list = null;
+    };
+
+    body.split(/\r?\n/).forEach(line => {
+        const heading = line.match(HEADING);
+        const bullet = line.match(BULLET);
+        const numbered = line.match(NUMBERED);
+        if (!line.trim()) {
+            close();
+        } else if (heading) {
+            close();
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2], tone: heading[3] || null });
+        } else if (bullet || numbered) {
+            const ordered = !bullet;
+            if (!list || list.ordered !== ordered) {
+                paragraph = null;
+                list = { type: 'list', ordered, items: [] };
+                blocks.push(list);
+            }
+            list.items.push((bullet || numbered)[1].trim());
+        } else if (list && /^\s+/.test(line)) {
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+        } else {
+            list = null;
+            if (paragraph) {
+                paragraph.text += ` ${line.trim()}`;
+            } else {
+                paragraph = { type: 'paragraph', text: line.trim() };
+                blocks.push(paragraph);
+            }
+        }
+    });
+    return blocks;
+}
+
+// Relative links and http(s)/mailto ones. Links that could run script (`javascript:`,
+// `data:`, ...) are kept as plain text.
+// Browsers ignore control characters in URLs, so `\u0001javascript:` counts as unsafe too.
+export const isSafeHref = (href) => ![...href].some(char => char.charCodeAt(0) < 32)
+    && (!/^[a-z][\w+.-]*:/i.test(href) || /^(https?|mailto):/i.test(href));
+
+export function parseInline(text) {
+    const tokens = [];
+    let last = 0;
+    const pushText = (value) => {
+        if (value) tokens.push({ type: 'text', text: value });
+    };
+    for (const match of text.matchAll(INLINE)) {
+        const [whole, strong, code, label, href, before = '', em] = match;
+        const start = match.index + before.length;
+        pushText(text.slice(last, start));
+        if (strong !== undefined) tokens.push({ type: 'strong', text: strong });
+        else if (code !== undefined) tokens.push({ type: 'code', text: code });
+        else if (em !== undefined) tokens.push({ type: 'em', text: em });
+        else if (isSafeHref(href)) tokens.push({ type: 'link', text: label, href });
+        else pushText(whole);
+        last = match.index + whole.length;
+    }
+    pushText(text.slice(last));
+    return tokens;
+}
@@ -0,0 +1,33 @@
+// --- Hash Router ---
+// Routes live in the URL hash as `#<section>[/<item>][?<query>]`: `#findings`,
+// `#architecture/memory` (the Architecture page with the Memory details open) or
+// `#simulation?seed=7` (the query belongs to the section, see params.js). An empty hash
+// is the first section. Anything else, including an item a section does not have, is
+// not found.
+
+// Splits a hash into its decoded path segments and its raw query.
+export function parseHash(hash) {
+    const [path, query = ''] = hash.replace(/^#/, '').split('?');
+    try {
+        return { segments: path.split('/').filter(Boolean).map(decodeURIComponent), query };
+    } catch (e) {
+        // A malformed escape such as `#%E0` routes nowhere.
+        return { segments: [null], query };
+    }
+}
+
+// `sections` are the site's sections ({ id }); `items` maps a section id to the ids it
+// has pages for. Returns { section, item, notFound }, with `section` null when not found.
+export function resolveRoute(hash, sections, items = {}) {
+    const { segments } = parseHash(hash);
+    const notFound = { section: null, item: null, notFound: true };
+    if (segments.length === 0) return { section: sections[0] || null, item: null, notFound: sections.length === 0 };
+
+    const [id, item = null, ...rest] = segments;
+    const section = sections.find(s => s.id === id);
+    if (!section || rest.length > 0) return notFound;
+    if (item !== null && !(items[id] || []).includes(item)) return notFound;
+    return { section, item, notFound: false };
+}
+
+export const routeHash = (sectionId, item = null) => `#${[sectionId, item].filter(Boolean).map(encodeURIComponent).join('/')}`;
@@ -0,0 +1,120 @@
+// Persists saved simulation sessions in IndexedDB, or in localStorage when IndexedDB is
+// not available. Every function returns a promise either way.
+//
+// A session is stored with its history packed (see packHistory) and, apart from it, its
+// summary (see summariseSession). Listing sessions reads the summaries only; a whole
+// session is read when it is opened, duplicated or compared.
+
+import { packHistory, unpackHistory } from '../simulation/history';
+import { SAVED_ENTRIES, summariseSession } from '../simulation/sessions';
+
+const DB_NAME = 'hizawye';
+const STORE = 'sessions';
+const SUMMARY_STORE = 'summaries';
+// Sessions saved before summaries were kept apart all live under this one key.
+const LEGACY_KEY = 'hizawye.sessions';
+const SUMMARIES_KEY = 'hizawye.sessionSummaries';
+const sessionKey = (id) => `hizawye.session.${id}`;
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, 2);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const sessions = event.oldVersion < 1
+                    ? db.createObjectStore(STORE, { keyPath: 'id' })
+                    : request.transaction.objectStore(STORE);
+                const summaries = db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+                sessions.openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    summaries.put(summariseSession(cursor.value));
+                    cursor.continue();
+                };
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `action(sessions, summaries)` in one transaction and resolves with the result of
+// the request it returns once the transaction is done.
+const withStores = async (mode, action) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE, SUMMARY_STORE], mode);
+        const request = action(transaction.objectStore(STORE), transaction.objectStore(SUMMARY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+const readJson = (key, fallback) => JSON.parse(window.localStorage.getItem(key) || fallback);
+const writeSummaries = (summaries) => window.localStorage.setItem(SUMMARIES_KEY, JSON.stringify(summaries));
+
+const readSummaries = () => {
+    const legacy = readJson(LEGACY_KEY, 'null');
+    if (!legacy) return readJson(SUMMARIES_KEY, '{}');
+    const summaries = readJson(SUMMARIES_KEY, '{}');
+    Object.values(legacy).forEach(session => {
+        window.localStorage.setItem(sessionKey(session.id), JSON.stringify(session));
+        summaries[session.id] = summariseSession(session);
+    });
+    writeSummaries(summaries);
+    window.localStorage.removeItem(LEGACY_KEY);
+    return summaries;
+};
+
+const hasIndexedDb = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+const byMostRecent = (a, b) => b.updatedAt - a.updatedAt;
+
+// The summaries of all saved sessions, most recently updated first.
+export async function listSessions() {
+    const summaries = hasIndexedDb()
+        ? await withStores('readonly', (sessions, summaryStore) => summaryStore.getAll())
+        : Object.values(readSummaries());
+    return summaries.sort(byMostRecent);
+}
+
+export async function loadSession(id) {
+    const stored = hasIndexedDb()
+        ? await withStores('readonly', sessions => sessions.get(id))
+        : readJson(sessionKey(id), 'null');
+    return stored ? { ...stored, history: unpackHistory(stored.history) } : null;
+}
+
+export async function saveSession(session) {
+    const stored = { ...session, history: packHistory(session.history, SAVED_ENTRIES) };
+    const summary = summariseSession(session);
+    if (hasIndexedDb()) {
+        await withStores('readwrite', (sessions, summaries) => {
+            summaries.put(summary);
+            return sessions.put(stored);
+        });
+        return;
+    }
+    const summaries = readSummaries();
+    window.localStorage.setItem(sessionKey(session.id), JSON.stringify(stored));
+    writeSummaries({ ...summaries, [session.id]: summary });
+}
+
+export async function deleteSession(id) {
+    if (hasIndexedDb()) {
+        await withStores('readwrite', (sessions, summaries) => {
+            summaries.delete(id);
+            return sessions.delete(id);
+        });
+        return;
+    }
+    const summaries = readSummaries();
+    delete summaries[id];
+    window.localStorage.removeItem(sessionKey(id));
+    writeSummaries(summaries);
+}